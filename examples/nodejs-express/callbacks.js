@@ -0,0 +1,130 @@
+/**
+ * Outbound status callbacks
+ *
+ * Delivers status events (applied, propagated, failed) to the callback_url
+ * PathCanary sent with a rollback. Deliveries run in the background with
+ * exponential backoff, so a slow or unavailable receiver never holds up the
+ * webhook response. The queue lives in process memory: pending deliveries
+ * are lost on restart.
+ */
+
+// Responses worth retrying: timeouts, throttling and server errors
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504]
+
+class CallbackQueue {
+  /**
+   * @param {object} options
+   * @param {number} options.maxAttempts - Deliveries tried before giving up
+   * @param {number} options.retryBaseMs - First retry delay, doubled on every attempt
+   * @param {number} options.timeoutMs - Timeout of a single delivery
+   * @param {function} options.sign - async (customerId, body) -> signature headers
+   * @param {function} options.onDelivered - (delivery) called after a 2xx response
+   * @param {function} options.onFailed - (delivery) called when a delivery is given up
+   */
+  constructor({ maxAttempts = 5, retryBaseMs = 1000, timeoutMs = 5000, sign, onDelivered = () => {}, onFailed = () => {} }) {
+    this.maxAttempts = maxAttempts
+    this.retryBaseMs = retryBaseMs
+    this.timeoutMs = timeoutMs
+    this.sign = sign
+    this.onDelivered = onDelivered
+    this.onFailed = onFailed
+    this.pending = new Map()
+  }
+
+  /**
+   * Schedule delivery of an event, optionally after a delay
+   */
+  enqueue(customerId, url, event, delayMs = 0) {
+    const delivery = {
+      id: event.event_id,
+      customer_id: customerId,
+      url,
+      event,
+      attempts: 0,
+      last_error: null
+    }
+
+    this.schedule(delivery, delayMs)
+    return delivery
+  }
+
+  /**
+   * Number of deliveries waiting for their next attempt
+   */
+  size() {
+    return this.pending.size
+  }
+
+  /**
+   * Cancel every pending delivery
+   */
+  stop() {
+    for (const timer of this.pending.values()) {
+      clearTimeout(timer)
+    }
+    this.pending.clear()
+  }
+
+  schedule(delivery, delayMs) {
+    const timer = setTimeout(() => {
+      this.pending.delete(delivery.id)
+      this.attempt(delivery)
+    }, delayMs)
+
+    // Pending callbacks must not keep the process alive on shutdown
+    timer.unref()
+    this.pending.set(delivery.id, timer)
+  }
+
+  async attempt(delivery) {
+    delivery.attempts++
+
+    let retryAfterMs = null
+
+    try {
+      const body = JSON.stringify(delivery.event)
+      const signatureHeaders = await this.sign(delivery.customer_id, body)
+
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PathCanary-Provider-Callback/1.0.0',
+          'X-PathCanary-Event': delivery.event.event,
+          'X-PathCanary-Delivery': `${delivery.id}:${delivery.attempts}`,
+          ...signatureHeaders
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      })
+
+      if (response.ok) {
+        this.onDelivered(delivery)
+        return
+      }
+
+      delivery.last_error = `HTTP ${response.status}`
+
+      if (!RETRYABLE_STATUS.includes(response.status)) {
+        this.onFailed(delivery)
+        return
+      }
+
+      const retryAfter = parseInt(response.headers.get('retry-after'))
+      retryAfterMs = Number.isNaN(retryAfter) ? null : retryAfter * 1000
+    } catch (error) {
+      delivery.last_error = error.name === 'TimeoutError'
+        ? `Timed out after ${this.timeoutMs}ms`
+        : error.message
+    }
+
+    if (delivery.attempts >= this.maxAttempts) {
+      this.onFailed(delivery)
+      return
+    }
+
+    this.schedule(delivery, retryAfterMs ?? this.retryBaseMs * Math.pow(2, delivery.attempts - 1))
+  }
+}
+
+module.exports = { CallbackQueue, RETRYABLE_STATUS }
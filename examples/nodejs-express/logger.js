@@ -0,0 +1,127 @@
+/**
+ * Structured logger
+ *
+ * Writes one JSON object per line: timestamp, level, event, then the
+ * logger's bound fields (e.g. request_id) and the event's own fields.
+ * Secrets are always redacted; incident messages are redacted unless
+ * explicitly allowed, since they can contain customer data.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+
+// Field names whose values never reach the logs (compared case-insensitively)
+const SECRET_FIELDS = [
+  'authorization', 'api_key', 'apikey', 'secret', 'signing_secret', 'webhook_secret',
+  'x-pathcanary-signature', 'signature', 'key_hash', 'token', 'password'
+]
+
+// Free text that may contain customer data
+const INCIDENT_FIELDS = ['incident_message', 'update_reason']
+
+const REDACTED = '[REDACTED]'
+
+class Logger {
+  /**
+   * @param {object} options
+   * @param {string} options.level - debug, info, warn, error or silent
+   * @param {boolean} options.logIncidentMessages - Keep incident messages in the output
+   * @param {object} options.fields - Fields added to every line
+   * @param {function} options.write - Receives each line (default: stdout)
+   */
+  constructor({ level = 'info', logIncidentMessages = false, fields = {}, write } = {}) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level '${level}'. Expected one of: ${Object.keys(LEVELS).join(', ')}`)
+    }
+
+    this.level = level
+    this.logIncidentMessages = logIncidentMessages
+    this.fields = fields
+    this.write = write || ((line) => process.stdout.write(line + '\n'))
+    this.redactedFields = new Set([...SECRET_FIELDS, ...(logIncidentMessages ? [] : INCIDENT_FIELDS)])
+  }
+
+  /**
+   * Logger that adds fields to every line, sharing level and output
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      logIncidentMessages: this.logIncidentMessages,
+      fields: { ...this.fields, ...fields },
+      write: this.write
+    })
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level]
+  }
+
+  debug(event, fields) {
+    this.log('debug', event, fields)
+  }
+
+  info(event, fields) {
+    this.log('info', event, fields)
+  }
+
+  warn(event, fields) {
+    this.log('warn', event, fields)
+  }
+
+  error(event, fields) {
+    this.log('error', event, fields)
+  }
+
+  log(level, event, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return
+    }
+
+    const line = {
+      timestamp: new Date().toISOString(),
+      level,
+      event,
+      ...this.redact(this.fields),
+      ...this.redact(fields)
+    }
+
+    this.write(JSON.stringify(line))
+  }
+
+  /**
+   * Copy of value with redacted fields replaced, at any depth
+   */
+  redact(value) {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, stack: value.stack }
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item))
+    }
+
+    if (value && typeof value === 'object') {
+      const copy = {}
+      for (const [key, field] of Object.entries(value)) {
+        copy[key] = this.redactedFields.has(key.toLowerCase()) && field !== undefined && field !== null
+          ? REDACTED
+          : this.redact(field)
+      }
+      return copy
+    }
+
+    return value
+  }
+}
+
+/**
+ * Logger configured from LOG_LEVEL and LOG_INCIDENT_MESSAGES
+ */
+function createLogger(env = process.env) {
+  return new Logger({
+    level: env.LOG_LEVEL || 'info',
+    logIncidentMessages: env.LOG_INCIDENT_MESSAGES === 'true'
+  })
+}
+
+module.exports = { Logger, createLogger, LEVELS, REDACTED }
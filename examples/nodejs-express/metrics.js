@@ -0,0 +1,159 @@
+/**
+ * Prometheus metrics
+ *
+ * A minimal registry with counters, gauges and histograms that renders the
+ * Prometheus text exposition format, so the reference server needs no extra
+ * dependency. Swap in prom-client if you already use it; the metric names
+ * and labels are what matters.
+ */
+
+// Latency buckets in seconds, dense around the 500ms response time SLO
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames
+    this.values = new Map()
+  }
+
+  key(labels) {
+    return JSON.stringify(this.labelNames.map(label => String(labels[label] ?? '')))
+  }
+
+  labels(key, extra = {}) {
+    const values = JSON.parse(key)
+    const pairs = [
+      ...this.labelNames.map((label, index) => [label, values[index]]),
+      ...Object.entries(extra)
+    ]
+
+    if (pairs.length === 0) {
+      return ''
+    }
+
+    return `{${pairs.map(([label, value]) => `${label}="${escapeLabel(value)}"`).join(',')}}`
+  }
+
+  reset() {
+    this.values.clear()
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.samples()
+    ].join('\n')
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options)
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels)
+    this.values.set(key, (this.values.get(key) || 0) + value)
+  }
+
+  samples() {
+    return [...this.values].map(([key, value]) => `${this.name}${this.labels(key)} ${value}`)
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options)
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value)
+  }
+
+  samples() {
+    return [...this.values].map(([key, value]) => `${this.name}${this.labels(key)} ${value}`)
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options)
+    this.buckets = buckets
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels)
+    const series = this.values.get(key) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++
+      }
+    })
+    series.sum += value
+    series.count++
+
+    this.values.set(key, series)
+  }
+
+  samples() {
+    return [...this.values].flatMap(([key, series]) => [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${this.labels(key, { le: bound })} ${series.counts[index]}`),
+      `${this.name}_bucket${this.labels(key, { le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${this.labels(key)} ${series.sum}`,
+      `${this.name}_count${this.labels(key)} ${series.count}`
+    ])
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = []
+    this.collectors = []
+  }
+
+  counter(options) {
+    return this.register(new Counter(options))
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options))
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options))
+  }
+
+  register(metric) {
+    this.metrics.push(metric)
+    return metric
+  }
+
+  /**
+   * Run fn before every scrape, e.g. to set gauges from current state
+   */
+  collect(fn) {
+    this.collectors.push(fn)
+  }
+
+  /**
+   * Every metric in the Prometheus text format
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      await collector()
+    }
+
+    return this.metrics.map(metric => metric.render()).join('\n\n') + '\n'
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, DEFAULT_BUCKETS }
@@ -0,0 +1,32 @@
+/**
+ * Built-in provider
+ *
+ * Keeps flags in the provider's own store. Bound to a transaction, flag
+ * changes commit or roll back together with their audit entries.
+ */
+
+class BuiltinProvider {
+  constructor({ store }) {
+    this.name = 'builtin'
+    this.transactional = true
+    this.store = store
+  }
+
+  withTransaction(tx) {
+    return new BuiltinProvider({ store: tx })
+  }
+
+  async getFlagState(customerId, environment, flagKey) {
+    return this.store.getFlag(customerId, environment, flagKey)
+  }
+
+  async setFlagState(customerId, environment, flagKey, state) {
+    return this.store.updateFlag(customerId, environment, flagKey, state)
+  }
+
+  async listFlags(customerId, environment) {
+    return this.store.listFlags(customerId, environment)
+  }
+}
+
+module.exports = { BuiltinProvider }
@@ -0,0 +1,83 @@
+/**
+ * Flagsmith provider
+ *
+ * Reads an environment's flags with GET /api/v1/flags/ (X-Environment-Key)
+ * and changes a flag's feature state through the Admin API. Each PathCanary
+ * environment needs an entry in FLAGSMITH_ENVIRONMENT_KEYS. Flagsmith has no
+ * plain percentage rollout, so requests with a rollout are refused.
+ */
+
+const { HttpProvider } = require('./http')
+
+class FlagsmithProvider extends HttpProvider {
+  constructor({ baseUrl, apiToken, environmentKeys, timeoutMs }) {
+    super({ name: 'flagsmith', label: 'Flagsmith', baseUrl, headers: { Authorization: `Api-Key ${apiToken}` }, timeoutMs })
+    this.environmentKeys = environmentKeys
+  }
+
+  async getFlagState(customerId, environment, flagKey) {
+    const state = await this.findFeatureState(environment, flagKey)
+    return state && toFlag(state, environment)
+  }
+
+  async setFlagState(customerId, environment, flagKey, state) {
+    if (state.rollout) {
+      throw this.unsupported('percentage rollouts cannot be set through the Flagsmith adapter')
+    }
+
+    const current = await this.findFeatureState(environment, flagKey)
+    if (!current) {
+      throw this.unsupported(`feature '${flagKey}' not found in ${environment}`)
+    }
+
+    const updated = await this.request('PATCH', `/api/v1/environments/${encodeURIComponent(this.environmentKey(environment))}/featurestates/${current.id}/`, {
+      body: { enabled: state.enabled }
+    })
+
+    return { ...toFlag({ ...current, ...updated, feature: current.feature }, environment), updated_at: updated.updated_at || state.updated_at }
+  }
+
+  async listFlags(customerId, environment) {
+    const environments = environment ? [environment] : Object.keys(this.environmentKeys)
+    const flags = []
+
+    for (const name of environments) {
+      flags.push(...(await this.fetchFeatureStates(name)).map(state => toFlag(state, name)))
+    }
+
+    return flags
+  }
+
+  async findFeatureState(environment, flagKey) {
+    return (await this.fetchFeatureStates(environment)).find(state => state.feature.name === flagKey) || null
+  }
+
+  async fetchFeatureStates(environment) {
+    return await this.request('GET', '/api/v1/flags/', {
+      headers: { 'X-Environment-Key': this.environmentKey(environment) }
+    }) || []
+  }
+
+  environmentKey(environment) {
+    if (!this.environmentKeys[environment]) {
+      throw this.unsupported(`no environment key configured for ${environment} (FLAGSMITH_ENVIRONMENT_KEYS)`)
+    }
+    return this.environmentKeys[environment]
+  }
+}
+
+/**
+ * A Flagsmith feature state as a flag
+ */
+function toFlag(state, environment) {
+  return {
+    id: String(state.feature.id),
+    key: state.feature.name,
+    environment,
+    enabled: state.enabled,
+    description: state.feature.description || '',
+    updated_at: state.updated_at || null
+  }
+}
+
+module.exports = { FlagsmithProvider }
@@ -0,0 +1,137 @@
+/**
+ * Shared plumbing of the HTTP provider adapters
+ *
+ * Sends JSON requests to the upstream API with a timeout and turns every
+ * failure into a ProviderError, so the webhooks can answer with PathCanary's
+ * `success: false` contract whichever flag system is behind them.
+ */
+
+// Upstream responses worth retrying are the same as for status callbacks
+const { RETRYABLE_STATUS } = require('../callbacks')
+
+/**
+ * The upstream flag system failed or cannot express the requested change
+ *
+ * `retryable` is true for timeouts, network errors, 429 and 5xx: the same
+ * request may succeed later. `status` is the upstream HTTP status, if any.
+ */
+class ProviderError extends Error {
+  constructor(message, { provider, status = null, retryable = false, retryAfterSeconds = null } = {}) {
+    super(message)
+    this.name = 'ProviderError'
+    this.provider = provider
+    this.status = status
+    this.retryable = retryable
+    this.retryAfterSeconds = retryAfterSeconds
+  }
+}
+
+class HttpProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Adapter name, as in FLAG_PROVIDER
+   * @param {string} options.label - Upstream product name, used in errors
+   * @param {string} options.baseUrl - Upstream API origin
+   * @param {object} options.headers - Headers sent with every request, e.g. Authorization
+   * @param {number} options.timeoutMs - Timeout of a single upstream request
+   */
+  constructor({ name, label = name, baseUrl, headers = {}, timeoutMs = 3000 }) {
+    this.name = name
+    this.label = label
+    this.transactional = false
+    this.baseUrl = baseUrl.replace(/\/+$/, '')
+    this.headers = headers
+    this.timeoutMs = timeoutMs
+  }
+
+  /**
+   * Upstream changes cannot join a store transaction; they apply immediately
+   */
+  withTransaction() {
+    return this
+  }
+
+  /**
+   * Send a request, returns the parsed JSON body (null when empty)
+   *
+   * With `allowNotFound`, a 404 returns null instead of throwing.
+   */
+  async request(method, path, { body, headers = {}, allowNotFound = false } = {}) {
+    let response
+
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'PathCanary-Provider/1.0.0',
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...this.headers,
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      })
+    } catch (error) {
+      const reason = error.name === 'TimeoutError'
+        ? `timed out after ${this.timeoutMs}ms`
+        : `unreachable (${(error.cause && error.cause.code) || error.message})`
+      throw new ProviderError(`${this.label} API ${reason}`, { provider: this.name, retryable: true })
+    }
+
+    const text = await response.text()
+    const data = parseJson(text)
+
+    if (response.status === 404 && allowNotFound) {
+      return null
+    }
+
+    if (!response.ok) {
+      const retryAfter = parseInt(response.headers.get('retry-after'))
+      throw new ProviderError(`${this.label} API responded ${response.status}: ${upstreamMessage(data, text)}`, {
+        provider: this.name,
+        status: response.status,
+        retryable: RETRYABLE_STATUS.includes(response.status),
+        retryAfterSeconds: Number.isNaN(retryAfter) ? null : retryAfter
+      })
+    }
+
+    if (text && data === undefined) {
+      throw new ProviderError(`${this.label} API returned a response that is not JSON`, {
+        provider: this.name,
+        status: response.status
+      })
+    }
+
+    return data === undefined ? null : data
+  }
+
+  /**
+   * A change the upstream flag system has no equivalent for
+   */
+  unsupported(message) {
+    return new ProviderError(`${this.label}: ${message}`, { provider: this.name })
+  }
+}
+
+function parseJson(text) {
+  if (!text) {
+    return undefined
+  }
+
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    return undefined
+  }
+}
+
+/**
+ * The upstream's own error message, or the start of the raw body
+ */
+function upstreamMessage(data, text) {
+  const message = data && (data.message || data.detail || data.error)
+  return typeof message === 'string' ? message : (text.slice(0, 200) || 'no body')
+}
+
+module.exports = { HttpProvider, ProviderError }
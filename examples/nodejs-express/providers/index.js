@@ -0,0 +1,99 @@
+/**
+ * Flag provider adapters
+ *
+ * The webhooks read and change flags through a provider instead of the store,
+ * so PathCanary's contract can sit in front of an existing flag system. Every
+ * adapter implements the same async interface:
+ *
+ *   name                                          -> 'builtin' | 'launchdarkly' | 'unleash' | 'flagsmith'
+ *   transactional                                 -> true when changes roll back with the store transaction
+ *   withTransaction(tx)                           -> adapter bound to a store transaction
+ *   getFlagState(customerId, environment, flagKey) -> flag | null
+ *   setFlagState(customerId, environment, flagKey, state) -> flag
+ *   listFlags(customerId, environment?)           -> flag[]
+ *
+ * Flags use the store's shape ({ key, environment, enabled, rollout?,
+ * variations?, updated_at, ... }). `state` holds `enabled`, an optional full
+ * `rollout` and the store's `updated_at`, `updated_by` and `update_reason`;
+ * HTTP adapters send `update_reason` as the change comment.
+ *
+ * HTTP adapters front one upstream account for every customer and throw a
+ * ProviderError when the upstream API fails, times out or cannot express the
+ * change. To put another flag system behind the webhooks, implement this
+ * interface and return it from createProvider.
+ */
+
+const { BuiltinProvider } = require('./builtin')
+const { ProviderError } = require('./http')
+const { LaunchDarklyProvider } = require('./launchdarkly')
+const { UnleashProvider } = require('./unleash')
+const { FlagsmithProvider } = require('./flagsmith')
+
+/**
+ * Create the provider selected by FLAG_PROVIDER (builtin | launchdarkly | unleash | flagsmith)
+ */
+function createProvider(env = process.env, { store }) {
+  const provider = env.FLAG_PROVIDER || 'builtin'
+  const timeoutMs = parseInt(env.FLAG_PROVIDER_TIMEOUT_MS) || 3000
+
+  switch (provider) {
+    case 'builtin':
+      return new BuiltinProvider({ store })
+    case 'launchdarkly':
+      return new LaunchDarklyProvider({
+        baseUrl: env.LAUNCHDARKLY_BASE_URL || 'https://app.launchdarkly.com',
+        apiToken: required(env, 'LAUNCHDARKLY_API_TOKEN'),
+        projectKey: env.LAUNCHDARKLY_PROJECT_KEY || 'default',
+        timeoutMs
+      })
+    case 'unleash':
+      return new UnleashProvider({
+        baseUrl: required(env, 'UNLEASH_URL'),
+        apiToken: required(env, 'UNLEASH_API_TOKEN'),
+        project: env.UNLEASH_PROJECT || 'default',
+        timeoutMs
+      })
+    case 'flagsmith':
+      return new FlagsmithProvider({
+        baseUrl: env.FLAGSMITH_URL || 'https://api.flagsmith.com',
+        apiToken: required(env, 'FLAGSMITH_API_TOKEN'),
+        environmentKeys: parseEnvironmentKeys(required(env, 'FLAGSMITH_ENVIRONMENT_KEYS')),
+        timeoutMs
+      })
+    default:
+      throw new Error(`Unknown FLAG_PROVIDER '${provider}'. Expected 'builtin', 'launchdarkly', 'unleash' or 'flagsmith'`)
+  }
+}
+
+function required(env, name) {
+  if (!env[name]) {
+    throw new Error(`${name} is required when FLAG_PROVIDER is '${env.FLAG_PROVIDER}'`)
+  }
+  return env[name]
+}
+
+/**
+ * FLAGSMITH_ENVIRONMENT_KEYS: JSON object of environment name to environment key
+ */
+function parseEnvironmentKeys(value) {
+  let keys
+  try {
+    keys = JSON.parse(value)
+  } catch (error) {
+    keys = null
+  }
+
+  if (!keys || typeof keys !== 'object' || Array.isArray(keys)) {
+    throw new Error('FLAGSMITH_ENVIRONMENT_KEYS must be a JSON object, e.g. {"production":"ser.abc123"}')
+  }
+  return keys
+}
+
+module.exports = {
+  createProvider,
+  ProviderError,
+  BuiltinProvider,
+  LaunchDarklyProvider,
+  UnleashProvider,
+  FlagsmithProvider
+}
@@ -0,0 +1,148 @@
+/**
+ * LaunchDarkly provider
+ *
+ * Drives flags in one LaunchDarkly project through the REST API (v2):
+ * reads with GET /api/v2/flags/{project}/{flag}, changes with semantic
+ * patches. A PathCanary environment is the LaunchDarkly environment key.
+ *
+ * Rollouts map onto the fallthrough rule: `percentage` is the weight of the
+ * served variation (`true` for boolean flags), the rest goes to the flag's
+ * off variation.
+ */
+
+const { HttpProvider } = require('./http')
+
+// LaunchDarkly rollout weights are in thousandths of a percent
+const WEIGHT_SCALE = 1000
+
+class LaunchDarklyProvider extends HttpProvider {
+  constructor({ baseUrl, apiToken, projectKey, timeoutMs }) {
+    super({ name: 'launchdarkly', label: 'LaunchDarkly', baseUrl, headers: { Authorization: apiToken }, timeoutMs })
+    this.projectKey = projectKey
+  }
+
+  async getFlagState(customerId, environment, flagKey) {
+    const flag = await this.fetchFlag(environment, flagKey)
+    return flag && toFlag(flag, environment)
+  }
+
+  async setFlagState(customerId, environment, flagKey, state) {
+    const instructions = [{ kind: state.enabled ? 'turnFlagOn' : 'turnFlagOff' }]
+
+    if (state.rollout) {
+      const flag = await this.fetchFlag(environment, flagKey)
+      if (!flag || !flag.environments[environment]) {
+        throw this.unsupported(`flag '${flagKey}' has no ${environment} environment`)
+      }
+      instructions.push(fallthroughInstruction(flag, environment, state.rollout))
+    }
+
+    const updated = await this.request('PATCH', this.flagPath(flagKey), {
+      headers: { 'Content-Type': 'application/json; domain-model=launchdarkly.semanticpatch' },
+      body: {
+        environmentKey: environment,
+        comment: state.update_reason,
+        instructions
+      }
+    })
+
+    return toFlag(updated, environment)
+  }
+
+  async listFlags(customerId, environment) {
+    const flags = []
+    let path = `/api/v2/flags/${encodeURIComponent(this.projectKey)}?summary=0${environment ? `&env=${encodeURIComponent(environment)}` : ''}`
+
+    // Follow pagination links until the last page
+    while (path) {
+      const page = await this.request('GET', path)
+      for (const item of page.items || []) {
+        const environments = environment ? [environment] : Object.keys(item.environments || {})
+        flags.push(...environments.map(name => toFlag(item, name)).filter(Boolean))
+      }
+      path = page._links && page._links.next ? page._links.next.href : null
+    }
+
+    return flags
+  }
+
+  fetchFlag(environment, flagKey) {
+    return this.request('GET', `${this.flagPath(flagKey)}?env=${encodeURIComponent(environment)}`, { allowNotFound: true })
+  }
+
+  flagPath(flagKey) {
+    return `/api/v2/flags/${encodeURIComponent(this.projectKey)}/${encodeURIComponent(flagKey)}`
+  }
+}
+
+/**
+ * A LaunchDarkly flag as seen in one environment, or null when it has no such environment
+ */
+function toFlag(item, environment) {
+  const settings = item.environments && item.environments[environment]
+  if (!settings) {
+    return null
+  }
+
+  const boolean = isBoolean(item)
+  const names = item.variations.map(variation => String(variation.value))
+  const fallthrough = settings.fallthrough || {}
+  const flag = {
+    id: item._id || item.key,
+    key: item.key,
+    environment,
+    enabled: settings.on,
+    ...(!boolean && { variations: names }),
+    description: item.description || '',
+    updated_at: settings.lastModified ? new Date(settings.lastModified).toISOString() : null,
+    ...(item.archived && { archived_at: new Date(item.archivedDate || settings.lastModified || Date.now()).toISOString() })
+  }
+
+  if (fallthrough.rollout) {
+    const weights = fallthrough.rollout.variations
+    const served = boolean
+      ? weights.find(weight => item.variations[weight.variation].value === true)
+      : weights.filter(weight => weight.variation !== settings.offVariation).sort((a, b) => b.weight - a.weight)[0]
+
+    flag.rollout = {
+      percentage: served ? served.weight / WEIGHT_SCALE : 0,
+      variation: served && !boolean ? names[served.variation] : null
+    }
+  } else if (!boolean && fallthrough.variation !== undefined) {
+    flag.rollout = { percentage: 100, variation: names[fallthrough.variation] }
+  }
+
+  return flag
+}
+
+/**
+ * Semantic patch instruction that serves `rollout` from the fallthrough rule
+ */
+function fallthroughInstruction(item, environment, rollout) {
+  const settings = item.environments[environment]
+  const boolean = isBoolean(item)
+  const served = boolean
+    ? item.variations.find(variation => variation.value === true)
+    : item.variations.find(variation => String(variation.value) === rollout.variation) || item.variations[0]
+  const rest = item.variations[settings.offVariation !== undefined ? settings.offVariation : 0]
+
+  if (rollout.percentage >= 100 || rest._id === served._id) {
+    return { kind: 'updateFallthroughVariationOrRollout', variationId: served._id }
+  }
+
+  const servedWeight = Math.round(rollout.percentage * WEIGHT_SCALE)
+
+  return {
+    kind: 'updateFallthroughVariationOrRollout',
+    rolloutWeights: {
+      [served._id]: servedWeight,
+      [rest._id]: 100 * WEIGHT_SCALE - servedWeight
+    }
+  }
+}
+
+function isBoolean(item) {
+  return item.kind === 'boolean' || item.variations.every(variation => typeof variation.value === 'boolean')
+}
+
+module.exports = { LaunchDarklyProvider }
@@ -0,0 +1,104 @@
+/**
+ * Unleash provider
+ *
+ * Drives feature toggles in one Unleash project through the Admin API. A
+ * PathCanary environment is the Unleash environment name. Rollouts map onto
+ * the environment's `flexibleRollout` strategy (created when missing);
+ * Unleash variants are not mapped, so flags have no variations.
+ */
+
+const { HttpProvider } = require('./http')
+
+class UnleashProvider extends HttpProvider {
+  constructor({ baseUrl, apiToken, project, timeoutMs }) {
+    super({ name: 'unleash', label: 'Unleash', baseUrl, headers: { Authorization: apiToken }, timeoutMs })
+    this.project = project
+  }
+
+  async getFlagState(customerId, environment, flagKey) {
+    const feature = await this.request('GET', this.featurePath(flagKey), { allowNotFound: true })
+    return feature && toFlag(feature, environment)
+  }
+
+  async setFlagState(customerId, environment, flagKey, state) {
+    const environmentPath = `${this.featurePath(flagKey)}/environments/${encodeURIComponent(environment)}`
+
+    if (state.rollout) {
+      if (state.rollout.variation) {
+        throw this.unsupported('variations cannot be set through the Unleash adapter')
+      }
+
+      const current = await this.request('GET', this.featurePath(flagKey))
+      const strategy = findRolloutStrategy(findEnvironment(current, environment))
+      const body = {
+        name: 'flexibleRollout',
+        parameters: {
+          ...(strategy && strategy.parameters),
+          rollout: String(state.rollout.percentage),
+          stickiness: (strategy && strategy.parameters.stickiness) || 'default',
+          groupId: (strategy && strategy.parameters.groupId) || flagKey
+        }
+      }
+
+      if (strategy) {
+        await this.request('PUT', `${environmentPath}/strategies/${encodeURIComponent(strategy.id)}`, { body })
+      } else {
+        await this.request('POST', `${environmentPath}/strategies`, { body })
+      }
+    }
+
+    await this.request('POST', `${environmentPath}/${state.enabled ? 'on' : 'off'}`)
+
+    const flag = await this.getFlagState(customerId, environment, flagKey)
+    if (!flag) {
+      throw this.unsupported(`feature '${flagKey}' has no ${environment} environment`)
+    }
+    return { ...flag, updated_at: flag.updated_at || state.updated_at }
+  }
+
+  async listFlags(customerId, environment) {
+    const { features = [] } = await this.request('GET', `/api/admin/projects/${encodeURIComponent(this.project)}/features`)
+
+    return features.flatMap(feature => {
+      const environments = environment ? [environment] : (feature.environments || []).map(env => env.name)
+      return environments.map(name => toFlag(feature, name)).filter(Boolean)
+    })
+  }
+
+  featurePath(flagKey) {
+    return `/api/admin/projects/${encodeURIComponent(this.project)}/features/${encodeURIComponent(flagKey)}`
+  }
+}
+
+/**
+ * An Unleash feature as seen in one environment, or null when it has no such environment
+ */
+function toFlag(feature, environment) {
+  const settings = findEnvironment(feature, environment)
+  if (!settings) {
+    return null
+  }
+
+  const strategy = findRolloutStrategy(settings)
+
+  return {
+    id: feature.name,
+    key: feature.name,
+    environment,
+    enabled: settings.enabled,
+    ...(strategy && { rollout: { percentage: Number(strategy.parameters.rollout), variation: null } }),
+    description: feature.description || '',
+    updated_at: settings.lastModified || null,
+    ...(feature.archived && { archived_at: feature.archivedAt || new Date().toISOString() })
+  }
+}
+
+function findEnvironment(feature, environment) {
+  return (feature.environments || []).find(env => env.name === environment) || null
+}
+
+function findRolloutStrategy(settings) {
+  return ((settings && settings.strategies) || []).find(strategy => strategy.name === 'flexibleRollout') || null
+}
+
+module.exports = { UnleashProvider }
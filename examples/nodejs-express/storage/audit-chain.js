@@ -0,0 +1,103 @@
+/**
+ * Hash chain for audit log entries
+ *
+ * Every customer has its own chain. Each entry gets a sequence number and
+ * the hash of the entry before it, and its own hash covers both, so editing,
+ * removing or reordering an entry breaks every link after it. When old
+ * entries are pruned, the last pruned entry is kept as the chain's anchor so
+ * the remaining entries can still be verified.
+ */
+
+const crypto = require('crypto')
+
+// prev_hash of the first entry in a chain
+const GENESIS_HASH = '0'.repeat(64)
+
+/**
+ * Chain an entry belongs to
+ */
+function chainId(entry) {
+  return entry.customer_id || '_system'
+}
+
+/**
+ * JSON with object keys sorted, so equal entries always hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+    return `{${fields.join(',')}}`
+  }
+
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+/**
+ * SHA-256 over every field of the entry except its own hash
+ */
+function hashEntry({ hash, ...entry }) {
+  return crypto.createHash('sha256').update(canonicalJson(entry)).digest('hex')
+}
+
+/**
+ * Link an entry to the head of its chain ({ seq, hash } or null for a new chain)
+ */
+function linkEntry(entry, head) {
+  const linked = {
+    ...entry,
+    seq: head ? head.seq + 1 : 1,
+    prev_hash: head ? head.hash : GENESIS_HASH
+  }
+
+  linked.hash = hashEntry(linked)
+  return linked
+}
+
+/**
+ * Check a chain's entries, oldest first, starting after anchor ({ seq, hash } or null)
+ *
+ * Returns { valid, entries_checked, head, errors: [{ seq, error }] }.
+ */
+function verifyChain(entries, anchor) {
+  const errors = []
+  let expected = anchor || { seq: 0, hash: GENESIS_HASH }
+
+  for (const entry of entries) {
+    if (entry.seq !== expected.seq + 1) {
+      errors.push({
+        seq: entry.seq,
+        error: `Gap in sequence: expected ${expected.seq + 1}, found ${entry.seq}`
+      })
+    } else if (entry.prev_hash !== expected.hash) {
+      errors.push({
+        seq: entry.seq,
+        error: 'prev_hash does not match the previous entry'
+      })
+    }
+
+    if (entry.hash !== hashEntry(entry)) {
+      errors.push({
+        seq: entry.seq,
+        error: 'Entry hash does not match its contents'
+      })
+    }
+
+    expected = { seq: entry.seq, hash: entry.hash }
+  }
+
+  return {
+    valid: errors.length === 0,
+    entries_checked: entries.length,
+    head: entries.length > 0 ? expected : (anchor || null),
+    errors
+  }
+}
+
+module.exports = { GENESIS_HASH, chainId, hashEntry, linkEntry, verifyChain }
@@ -0,0 +1,171 @@
+/**
+ * File-backed storage backend
+ *
+ * Keeps the working set in memory like MemoryStore. Audit entries are
+ * appended to a journal next to the database file (`<name>.audit.jsonl`,
+ * one entry per line); the rest of the database is written to a JSON file
+ * after every transaction that changed it. Database writes go to a temporary
+ * file that is renamed over the original, so a crash mid-write never leaves
+ * a truncated database behind.
+ *
+ * The database file keeps the audit chains as they were where the journal
+ * starts; the journal is replayed on start, and compacted then when
+ * AUDIT_LOG_MAX_ENTRIES prunes entries.
+ */
+
+const fs = require('fs/promises')
+const path = require('path')
+const { MemoryStore, clone } = require('./memory')
+const { chainId } = require('./audit-chain')
+
+class FileStore extends MemoryStore {
+  constructor({ filePath, ...options }) {
+    super(options)
+    this.filePath = path.resolve(filePath)
+    this.journalPath = `${this.filePath.replace(/\.json$/, '')}.audit.jsonl`
+    // Audit chains as they were before the first journal entry
+    this.journalBase = {}
+  }
+
+  /**
+   * Load the database file and replay the audit journal, or create both from the seed data
+   */
+  async init() {
+    let data = null
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+
+    if (!data) {
+      const { auditLog = [], ...rest } = this.data
+      this.journalBase = chainsBefore(rest.auditChains, auditLog)
+      this.data = { ...rest, auditLog: [], auditChains: clone(this.journalBase) }
+
+      // Journal first: until the database is written, a restart creates both again
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+      await this.writeJournal(auditLog)
+      await this.writeDatabase()
+    } else {
+      this.journalBase = data.auditChains || {}
+      this.data = { ...data, auditLog: [], auditChains: clone(this.journalBase) }
+    }
+
+    const { entries, truncated } = await this.readJournal()
+    for (const entry of entries) {
+      this.data.auditLog.push(entry)
+      this.data.auditChains[chainId(entry)] = {
+        anchor: null,
+        ...this.data.auditChains[chainId(entry)],
+        head: { seq: entry.seq, hash: entry.hash }
+      }
+    }
+
+    if (this.maxAuditEntries && entries.length > this.maxAuditEntries) {
+      const pruned = this.data.auditLog.splice(0, entries.length - this.maxAuditEntries)
+
+      for (const old of pruned) {
+        this.data.auditChains[chainId(old)].anchor = { seq: old.seq, hash: old.hash }
+      }
+
+      // Compact the journal. Database first: replaying the old journal against it prunes the same entries
+      this.journalBase = chainsBefore(this.data.auditChains, this.data.auditLog)
+      await this.writeDatabase()
+      await this.writeJournal(this.data.auditLog)
+    } else if (truncated) {
+      // Drop the partial line so new entries start on a line of their own
+      await this.writeJournal(entries)
+    }
+  }
+
+  async commit({ audit, dirty }) {
+    if (audit.length > 0) {
+      await fs.appendFile(this.journalPath, audit.map(entry => `${JSON.stringify(entry)}\n`).join(''))
+    }
+
+    if (dirty) {
+      await this.writeDatabase()
+    }
+  }
+
+  /**
+   * Write everything but the audit log to the database file
+   */
+  async writeDatabase() {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`
+    const { auditLog, ...data } = this.data
+
+    await fs.writeFile(tmpPath, JSON.stringify({ ...data, auditChains: this.journalBase }, null, 2))
+    await fs.rename(tmpPath, this.filePath)
+  }
+
+  /**
+   * Replace the audit journal with the given entries
+   */
+  async writeJournal(entries) {
+    const tmpPath = `${this.journalPath}.${process.pid}.tmp`
+
+    await fs.writeFile(tmpPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''))
+    await fs.rename(tmpPath, this.journalPath)
+  }
+
+  /**
+   * Audit entries in the journal, oldest first: { entries, truncated }
+   *
+   * A last line cut short by a crash mid-append is skipped and reported as truncated.
+   */
+  async readJournal() {
+    let contents
+    try {
+      contents = await fs.readFile(this.journalPath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { entries: [], truncated: false }
+      }
+      throw error
+    }
+
+    const lines = contents.split('\n')
+    const truncated = lines.pop() !== ''
+    const entries = lines.map((line, index) => {
+      try {
+        return JSON.parse(line)
+      } catch (error) {
+        throw new Error(`Corrupt audit journal ${this.journalPath} at line ${index + 1}: ${error.message}`)
+      }
+    })
+
+    return { entries, truncated }
+  }
+}
+
+/**
+ * Audit chain state just before the given entries: where each chain's first
+ * entry links to, or the chain itself when none of its entries are given
+ */
+function chainsBefore(chains, entries) {
+  const before = { ...chains }
+  const seen = new Set()
+
+  for (const entry of entries) {
+    const id = chainId(entry)
+    if (seen.has(id)) {
+      continue
+    }
+    seen.add(id)
+
+    if (entry.seq > 1) {
+      const link = { seq: entry.seq - 1, hash: entry.prev_hash }
+      before[id] = { head: link, anchor: link }
+    } else {
+      delete before[id]
+    }
+  }
+
+  return before
+}
+
+module.exports = { FileStore }
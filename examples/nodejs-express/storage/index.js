@@ -0,0 +1,74 @@
+/**
+ * Storage adapters for the reference provider
+ *
+ * Every backend implements the same async interface:
+ *
+ *   init()
+ *   findApiKey(keyHash)                        -> key record | null
+ *   findApiKeyByCertificate(fingerprint)       -> key record | null
+ *   listApiKeys(customerId)                    -> key record[]
+ *   createApiKey(record)                       -> key record
+ *   updateApiKey(keyId, changes)               -> key record
+ *   getWebhookSecret(customerId)               -> secret | null
+ *   getRateLimit(customerId)                   -> { max, window_seconds } | null
+ *   listCustomers()                            -> customer_id[]
+ *   listFlags(customerId, environment?)        -> flag[]
+ *   getFlag(customerId, environment, flagKey)  -> flag | null
+ *   createFlag(customerId, environment, flag)  -> flag
+ *   updateFlag(customerId, environment, flagKey, changes) -> flag
+ *   deleteFlag(customerId, environment, flagKey) -> deleted flag
+ *   getFlagGuardrails(customerId, environment, flagKey) -> guardrails | null
+ *   setFlagGuardrails(customerId, environment, flagKey, guardrails | null) -> guardrails | null
+ *   getRollbackPolicy(customerId)              -> policy | null
+ *   setRollbackPolicy(customerId, policy)      -> policy
+ *   listApprovals(customerId)                  -> approval[]
+ *   getApproval(customerId, approvalId)        -> approval | null
+ *   createApproval(record)                     -> approval
+ *   updateApproval(approvalId, changes)        -> approval
+ *   appendAudit(entry)                         -> entry
+ *   queryAudit({ customerId, incidentId, flagKey, action, since, until, beforeSeq, limit }) -> entry[]
+ *   getAuditChain(customerId)                  -> { head, anchor }
+ *   transaction(async (tx) => { ... })         -> result of the callback
+ *   deferredTransaction(key, async (tx) => { ... }) -> result of the callback
+ *
+ * `tx` exposes the same reads and writes; they are committed together or
+ * not at all. A deferred transaction does not block other transactions
+ * while it waits on another system: only those with the same key run one at
+ * a time, reads see committed data and writes are committed once it ends.
+ *
+ * appendAudit links every entry into its customer's hash chain (see
+ * audit-chain.js) and returns the entry with seq, prev_hash and hash.
+ * To use your own database, implement this interface and return it from
+ * createStore.
+ */
+
+const path = require('path')
+const { MemoryStore } = require('./memory')
+const { FileStore } = require('./file')
+const seed = require('./seed')
+
+/**
+ * Create the store selected by STORAGE_BACKEND (memory | file)
+ */
+function createStore(env = process.env) {
+  const backend = env.STORAGE_BACKEND || 'memory'
+  // Memory keeps the last 1000 entries by default, the file backend keeps everything
+  const maxAuditEntries = env.AUDIT_LOG_MAX_ENTRIES !== undefined
+    ? parseInt(env.AUDIT_LOG_MAX_ENTRIES) || 0
+    : (backend === 'file' ? 0 : 1000)
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore({ seed, maxAuditEntries })
+    case 'file':
+      return new FileStore({
+        seed,
+        maxAuditEntries,
+        filePath: env.STORAGE_FILE || path.join(__dirname, '..', 'data', 'provider-db.json')
+      })
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND '${backend}'. Expected 'memory' or 'file'`)
+  }
+}
+
+module.exports = { createStore, MemoryStore, FileStore }
@@ -0,0 +1,478 @@
+/**
+ * In-memory storage backend
+ *
+ * Everything lives in process memory and is lost on restart. Useful for
+ * local testing; FileStore builds on it to add durability.
+ */
+
+const { chainId, linkEntry } = require('./audit-chain')
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)))
+
+// Transaction handle methods that change data
+const WRITES = [
+  'createFlag', 'updateFlag', 'deleteFlag', 'createApiKey', 'updateApiKey', 'setFlagGuardrails',
+  'setRollbackPolicy', 'createApproval', 'updateApproval', 'appendAudit'
+]
+
+class MemoryStore {
+  constructor({ seed, maxAuditEntries = 1000 } = {}) {
+    this.data = clone(seed) || { apiKeys: {}, webhookSecrets: {}, rateLimits: {}, featureFlags: {}, auditLog: [] }
+    this.data.auditChains = this.data.auditChains || {}
+    // 0 keeps every entry
+    this.maxAuditEntries = maxAuditEntries
+    this.queue = Promise.resolve()
+    // Deferred transactions waiting on each other, by key
+    this.deferredQueues = new Map()
+  }
+
+  /**
+   * Prepare the store before the server starts accepting requests
+   */
+  async init() {}
+
+  /**
+   * API key record with the given SHA-256 hash, or null
+   */
+  async findApiKey(keyHash) {
+    const record = Object.values(this.data.apiKeys).find(key => key.key_hash === keyHash)
+    return clone(record) || null
+  }
+
+  /**
+   * Key bound to a client certificate's SHA-256 fingerprint: the newest
+   * unrevoked one, since a rotated key hands its certificate on
+   */
+  async findApiKeyByCertificate(fingerprint) {
+    const [record] = Object.values(this.data.apiKeys)
+      .filter(key => key.client_cert_fingerprint === fingerprint)
+      .sort((a, b) => Boolean(a.revoked_at) - Boolean(b.revoked_at) || b.created_at.localeCompare(a.created_at))
+    return clone(record) || null
+  }
+
+  async listApiKeys(customerId) {
+    return Object.values(this.data.apiKeys)
+      .filter(key => key.customer_id === customerId)
+      .map(clone)
+  }
+
+  async createApiKey(record) {
+    return this.transaction(tx => tx.createApiKey(record))
+  }
+
+  async updateApiKey(keyId, changes) {
+    return this.transaction(tx => tx.updateApiKey(keyId, changes))
+  }
+
+  /**
+   * Webhook signing secret for a customer, or null
+   */
+  async getWebhookSecret(customerId) {
+    return this.data.webhookSecrets[customerId] || null
+  }
+
+  /**
+   * Rate limit override for a customer ({ max, window_seconds }), or null
+   */
+  async getRateLimit(customerId) {
+    return clone((this.data.rateLimits || {})[customerId]) || null
+  }
+
+  /**
+   * Customers that have flags
+   */
+  async listCustomers() {
+    return Object.keys(this.data.featureFlags)
+  }
+
+  /**
+   * Flags for a customer in one environment, or in every environment when omitted
+   */
+  async listFlags(customerId, environment) {
+    const environments = this.data.featureFlags[customerId] || {}
+    const selected = environment === undefined
+      ? Object.values(environments)
+      : [environments[environment] || {}]
+
+    return selected.flatMap(flags => Object.values(flags)).map(clone)
+  }
+
+  async getFlag(customerId, environment, flagKey) {
+    const flags = (this.data.featureFlags[customerId] || {})[environment] || {}
+    return clone(flags[flagKey]) || null
+  }
+
+  async createFlag(customerId, environment, flag) {
+    return this.transaction(tx => tx.createFlag(customerId, environment, flag))
+  }
+
+  async updateFlag(customerId, environment, flagKey, changes) {
+    return this.transaction(tx => tx.updateFlag(customerId, environment, flagKey, changes))
+  }
+
+  async deleteFlag(customerId, environment, flagKey) {
+    return this.transaction(tx => tx.deleteFlag(customerId, environment, flagKey))
+  }
+
+  /**
+   * Guardrails of one flag (protected, cooldown, toggle limit, dependencies), or null
+   */
+  async getFlagGuardrails(customerId, environment, flagKey) {
+    const guardrails = ((this.data.flagGuardrails || {})[customerId] || {})[environment] || {}
+    return clone(guardrails[flagKey]) || null
+  }
+
+  async setFlagGuardrails(customerId, environment, flagKey, guardrails) {
+    return this.transaction(tx => tx.setFlagGuardrails(customerId, environment, flagKey, guardrails))
+  }
+
+  /**
+   * Rollback policy of a customer ({ default_mode, rules }), or null
+   */
+  async getRollbackPolicy(customerId) {
+    return clone((this.data.rollbackPolicies || {})[customerId]) || null
+  }
+
+  async setRollbackPolicy(customerId, policy) {
+    return this.transaction(tx => tx.setRollbackPolicy(customerId, policy))
+  }
+
+  /**
+   * Approvals of a customer, oldest first
+   */
+  async listApprovals(customerId) {
+    return Object.values(this.data.approvals || {})
+      .filter(approval => approval.customer_id === customerId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(clone)
+  }
+
+  async getApproval(customerId, approvalId) {
+    const approval = (this.data.approvals || {})[approvalId]
+    return approval && approval.customer_id === customerId ? clone(approval) : null
+  }
+
+  async createApproval(record) {
+    return this.transaction(tx => tx.createApproval(record))
+  }
+
+  async updateApproval(approvalId, changes) {
+    return this.transaction(tx => tx.updateApproval(approvalId, changes))
+  }
+
+  async appendAudit(entry) {
+    return this.transaction(tx => tx.appendAudit(entry))
+  }
+
+  /**
+   * Audit entries matching every given filter, oldest first
+   *
+   * action may be one action or a list; since/until are ISO timestamps
+   * (inclusive); beforeSeq returns entries older than that sequence number
+   * of the customer's chain; limit keeps the newest matches.
+   */
+  async queryAudit({ customerId, incidentId, flagKey, action, since, until, beforeSeq, limit } = {}) {
+    const actions = action === undefined ? undefined : [].concat(action)
+    const sinceMs = since === undefined ? undefined : Date.parse(since)
+    const untilMs = until === undefined ? undefined : Date.parse(until)
+
+    const entries = this.data.auditLog.filter(log =>
+      (customerId === undefined || log.customer_id === customerId) &&
+      (incidentId === undefined || log.incident_id === incidentId) &&
+      (flagKey === undefined || log.flag_key === flagKey) &&
+      (actions === undefined || actions.includes(log.action)) &&
+      (sinceMs === undefined || Date.parse(log.timestamp) >= sinceMs) &&
+      (untilMs === undefined || Date.parse(log.timestamp) <= untilMs) &&
+      (beforeSeq === undefined || log.seq < beforeSeq)
+    )
+
+    return clone(limit ? entries.slice(-limit) : entries)
+  }
+
+  /**
+   * Hash chain state of a customer's audit log:
+   * { head, anchor }, each { seq, hash } or null. anchor is the last pruned entry.
+   */
+  async getAuditChain(customerId) {
+    const chain = this.data.auditChains[customerId] || {}
+    return { head: clone(chain.head) || null, anchor: clone(chain.anchor) || null }
+  }
+
+  /**
+   * Run fn(tx) as one transaction
+   *
+   * Transactions run one at a time. If fn throws, every change it made is
+   * undone; otherwise the changes are committed together. Only the values a
+   * transaction overwrites are kept for the undo, so its cost does not grow
+   * with the database.
+   */
+  transaction(fn) {
+    const run = this.queue.then(async () => {
+      const changes = { undo: [], audit: [], dirty: false }
+
+      try {
+        const result = await fn(this.createTransaction(changes))
+        await this.commit(changes)
+        return result
+      } catch (error) {
+        for (const undo of changes.undo.reverse()) {
+          undo()
+        }
+        throw error
+      }
+    })
+
+    // Keep the queue going even when a transaction fails
+    this.queue = run.catch(() => {})
+
+    return run
+  }
+
+  /**
+   * Run fn(tx) without holding the transaction queue
+   *
+   * For work that waits on another system, such as an HTTP flag provider.
+   * Deferred transactions with the same key run one at a time; reads see
+   * committed data, and writes are collected and committed in one
+   * transaction once fn returns, or dropped if it throws. Writes resolve to
+   * the record as it will be stored, without audit chain fields.
+   */
+  deferredTransaction(key, fn) {
+    const previous = this.deferredQueues.get(key) || Promise.resolve()
+    const run = previous.then(async () => {
+      const writes = []
+      const result = await fn(this.createDeferredTransaction(writes))
+
+      if (writes.length > 0) {
+        await this.transaction(async (tx) => {
+          for (const write of writes) {
+            await write(tx)
+          }
+        })
+      }
+
+      return result
+    })
+
+    const settled = run.catch(() => {})
+    this.deferredQueues.set(key, settled)
+    settled.then(() => {
+      if (this.deferredQueues.get(key) === settled) {
+        this.deferredQueues.delete(key)
+      }
+    })
+
+    return run
+  }
+
+  /**
+   * Persist the changes of a committed transaction (no-op in memory)
+   *
+   * changes.audit holds the appended audit entries; changes.dirty is set
+   * when anything else changed.
+   */
+  async commit(changes) {}
+
+  /**
+   * Deferred transaction handle: the same reads, with writes queued for the commit
+   */
+  createDeferredTransaction(writes) {
+    const reads = this.createTransaction({ undo: [], audit: [], dirty: false })
+    const defer = (write, preview) => {
+      writes.push(write)
+      return preview
+    }
+
+    return {
+      ...Object.fromEntries(Object.entries(reads).filter(([name]) => !WRITES.includes(name))),
+
+      createFlag: async (customerId, environment, flag) =>
+        defer(tx => tx.createFlag(customerId, environment, flag), clone(flag)),
+      updateFlag: async (customerId, environment, flagKey, changes) =>
+        defer(tx => tx.updateFlag(customerId, environment, flagKey, changes), { ...await this.getFlag(customerId, environment, flagKey), ...clone(changes) }),
+      deleteFlag: async (customerId, environment, flagKey) =>
+        defer(tx => tx.deleteFlag(customerId, environment, flagKey), await this.getFlag(customerId, environment, flagKey)),
+      createApiKey: async (record) =>
+        defer(tx => tx.createApiKey(record), clone(record)),
+      updateApiKey: async (keyId, changes) =>
+        defer(tx => tx.updateApiKey(keyId, changes), { ...clone(this.data.apiKeys[keyId]), ...clone(changes) }),
+      setFlagGuardrails: async (customerId, environment, flagKey, guardrails) =>
+        defer(tx => tx.setFlagGuardrails(customerId, environment, flagKey, guardrails), clone(guardrails)),
+      setRollbackPolicy: async (customerId, policy) =>
+        defer(tx => tx.setRollbackPolicy(customerId, policy), clone(policy)),
+      createApproval: async (record) =>
+        defer(tx => tx.createApproval(record), clone(record)),
+      updateApproval: async (approvalId, changes) =>
+        defer(tx => tx.updateApproval(approvalId, changes), { ...clone((this.data.approvals || {})[approvalId]), ...clone(changes) }),
+      appendAudit: async (entry) =>
+        defer(tx => tx.appendAudit(entry), clone(entry))
+    }
+  }
+
+  /**
+   * Transaction handle: the same reads, with writes applied directly and
+   * recorded in `changes` so they can be undone
+   */
+  createTransaction(changes) {
+    // Remember how to put target[key] back if the transaction fails
+    const remember = (target, key) => {
+      const existed = Object.prototype.hasOwnProperty.call(target, key)
+      const previous = target[key]
+
+      changes.undo.push(() => {
+        if (existed) {
+          target[key] = previous
+        } else {
+          delete target[key]
+        }
+      })
+    }
+
+    const set = (target, key, value) => {
+      remember(target, key)
+      changes.dirty = true
+      target[key] = value
+      return value
+    }
+
+    const remove = (target, key) => {
+      remember(target, key)
+      changes.dirty = true
+      delete target[key]
+    }
+
+    // target[key], created empty if missing
+    const child = (target, key) => target[key] || set(target, key, {})
+
+    return {
+      findApiKey: (keyHash) => this.findApiKey(keyHash),
+      findApiKeyByCertificate: (fingerprint) => this.findApiKeyByCertificate(fingerprint),
+      listApiKeys: (customerId) => this.listApiKeys(customerId),
+      getWebhookSecret: (customerId) => this.getWebhookSecret(customerId),
+      getRateLimit: (customerId) => this.getRateLimit(customerId),
+      listCustomers: () => this.listCustomers(),
+      listFlags: (customerId, environment) => this.listFlags(customerId, environment),
+      getFlag: (customerId, environment, flagKey) => this.getFlag(customerId, environment, flagKey),
+      getFlagGuardrails: (customerId, environment, flagKey) => this.getFlagGuardrails(customerId, environment, flagKey),
+      getRollbackPolicy: (customerId) => this.getRollbackPolicy(customerId),
+      listApprovals: (customerId) => this.listApprovals(customerId),
+      getApproval: (customerId, approvalId) => this.getApproval(customerId, approvalId),
+      queryAudit: (filter) => this.queryAudit(filter),
+      getAuditChain: (customerId) => this.getAuditChain(customerId),
+
+      createFlag: async (customerId, environment, flag) => {
+        const flags = child(child(this.data.featureFlags, customerId), environment)
+
+        if (flags[flag.key]) {
+          throw new Error(`Feature flag '${flag.key}' already exists in ${environment} for customer ${customerId}`)
+        }
+
+        return clone(set(flags, flag.key, clone(flag)))
+      },
+
+      updateFlag: async (customerId, environment, flagKey, changes) => {
+        const flags = (this.data.featureFlags[customerId] || {})[environment] || {}
+
+        if (!flags[flagKey]) {
+          throw new Error(`Feature flag '${flagKey}' not found in ${environment} for customer ${customerId}`)
+        }
+
+        return clone(set(flags, flagKey, { ...flags[flagKey], ...clone(changes) }))
+      },
+
+      deleteFlag: async (customerId, environment, flagKey) => {
+        const flags = (this.data.featureFlags[customerId] || {})[environment] || {}
+
+        if (!flags[flagKey]) {
+          throw new Error(`Feature flag '${flagKey}' not found in ${environment} for customer ${customerId}`)
+        }
+
+        const deleted = flags[flagKey]
+        remove(flags, flagKey)
+        return clone(deleted)
+      },
+
+      createApiKey: async (record) => {
+        if (this.data.apiKeys[record.id]) {
+          throw new Error(`API key '${record.id}' already exists`)
+        }
+
+        set(this.data.apiKeys, record.id, clone(record))
+        return clone(record)
+      },
+
+      updateApiKey: async (keyId, changes) => {
+        if (!this.data.apiKeys[keyId]) {
+          throw new Error(`API key '${keyId}' not found`)
+        }
+
+        return clone(set(this.data.apiKeys, keyId, { ...this.data.apiKeys[keyId], ...clone(changes) }))
+      },
+
+      // null removes the flag's guardrails
+      setFlagGuardrails: async (customerId, environment, flagKey, guardrails) => {
+        const flags = child(child(child(this.data, 'flagGuardrails'), customerId), environment)
+
+        if (guardrails === null) {
+          remove(flags, flagKey)
+          return null
+        }
+
+        set(flags, flagKey, clone(guardrails))
+        return clone(guardrails)
+      },
+
+      setRollbackPolicy: async (customerId, policy) => {
+        set(child(this.data, 'rollbackPolicies'), customerId, clone(policy))
+        return clone(policy)
+      },
+
+      createApproval: async (record) => {
+        const approvals = child(this.data, 'approvals')
+
+        if (approvals[record.id]) {
+          throw new Error(`Approval '${record.id}' already exists`)
+        }
+
+        set(approvals, record.id, clone(record))
+        return clone(record)
+      },
+
+      updateApproval: async (approvalId, changes) => {
+        if (!(this.data.approvals || {})[approvalId]) {
+          throw new Error(`Approval '${approvalId}' not found`)
+        }
+
+        return clone(set(this.data.approvals, approvalId, { ...this.data.approvals[approvalId], ...clone(changes) }))
+      },
+
+      // Audit entries are recorded in changes.audit rather than marking the store dirty
+      appendAudit: async (entry) => {
+        const chains = this.data.auditChains
+        const chain = chains[chainId(entry)] || { head: null, anchor: null }
+        const linked = linkEntry(clone(entry), chain.head)
+
+        remember(chains, chainId(entry))
+        chains[chainId(entry)] = { ...chain, head: { seq: linked.seq, hash: linked.hash } }
+        this.data.auditLog.push(linked)
+        changes.audit.push(linked)
+        changes.undo.push(() => this.data.auditLog.pop())
+
+        if (this.maxAuditEntries && this.data.auditLog.length > this.maxAuditEntries) {
+          const pruned = this.data.auditLog.splice(0, this.data.auditLog.length - this.maxAuditEntries)
+          changes.undo.push(() => this.data.auditLog.unshift(...pruned))
+
+          // Remember where each chain now starts so it can still be verified
+          for (const old of pruned) {
+            remember(chains, chainId(old))
+            chains[chainId(old)] = { ...chains[chainId(old)], anchor: { seq: old.seq, hash: old.hash } }
+          }
+        }
+
+        return clone(linked)
+      }
+    }
+  }
+}
+
+module.exports = { MemoryStore, clone }
@@ -0,0 +1,141 @@
+/**
+ * Seed data for the reference provider
+ *
+ * Loaded into a fresh store on first start. Replace with your own customers,
+ * keys and flags, or point STORAGE_BACKEND at a store that already has them.
+ */
+
+module.exports = {
+  // API keys: { key_id: { ...key_record } }
+  // Only the SHA-256 hash of each key is stored. The plaintext test keys are
+  // test_sk_abc123def456 (customer_001) and prod_sk_xyz789ghi012 (customer_002).
+  // scopes: flags:disable, flags:enable, flags:read, flags:write, audit:read, keys:admin,
+  // policy:admin, rollbacks:approve
+  // flag_keys / environments: allowlists, null means every flag / environment
+  // client_cert_fingerprint: optional SHA-256 fingerprint of a client certificate
+  // that authenticates as the key over mTLS, instead of the Bearer key
+  apiKeys: {
+    key_001: {
+      id: 'key_001',
+      customer_id: 'customer_001',
+      key_hash: '7270f8ef17a893c32fe9e38d615bc255c7c1b2f90252a817458addd22d016599',
+      key_prefix: 'test_sk_',
+      label: 'Test key',
+      scopes: ['flags:disable', 'flags:enable', 'flags:read', 'flags:write', 'audit:read', 'keys:admin', 'policy:admin', 'rollbacks:approve'],
+      flag_keys: null,
+      environments: null,
+      expires_at: null,
+      revoked_at: null,
+      created_at: '2025-01-15T10:00:00Z'
+    },
+    key_002: {
+      id: 'key_002',
+      customer_id: 'customer_002',
+      key_hash: '039a94a8a865b0e560daf1ffb018bae7ecf3f5767e034d3ffa20ef8357a11c56',
+      key_prefix: 'prod_sk_',
+      label: 'Production key',
+      scopes: ['flags:disable', 'flags:enable', 'flags:read', 'flags:write', 'audit:read', 'keys:admin', 'policy:admin', 'rollbacks:approve'],
+      flag_keys: null,
+      environments: null,
+      expires_at: null,
+      revoked_at: null,
+      created_at: '2025-03-10T08:00:00Z'
+    }
+  },
+
+  // Webhook signing secrets: { customer_id: secret }
+  webhookSecrets: {
+    customer_001: 'whsec_test_5f2b8c1e9a7d4630',
+    customer_002: 'whsec_prod_0c4e7a92d1b8f356'
+  },
+
+  // Rate limit overrides: { customer_id: { max, window_seconds } }
+  // Customers without an entry get RATE_LIMIT_MAX per RATE_LIMIT_WINDOW_SECONDS.
+  // customer_002 has a low limit so throttling is easy to try locally.
+  rateLimits: {
+    customer_002: { max: 10, window_seconds: 2 }
+  },
+
+  // Feature flags: { customer_id: { environment: { flag_key: { ...flag_data } } } }
+  // The same flag key can exist in several environments, each with its own state.
+  // `rollout` is optional: the share of traffic that gets the flag and, for
+  // multivariate flags, the variation it serves (one of `variations`).
+  featureFlags: {
+    customer_001: {
+      production: {
+        'new-checkout-flow': {
+          id: 'flag_001',
+          key: 'new-checkout-flow',
+          enabled: true,
+          environment: 'production',
+          rollout: { percentage: 25, variation: null },
+          description: 'New checkout experience',
+          created_at: '2025-01-15T10:00:00Z',
+          updated_at: '2025-01-15T10:00:00Z'
+        },
+        'beta-search': {
+          id: 'flag_002',
+          key: 'beta-search',
+          enabled: true,
+          environment: 'production',
+          variations: ['classic', 'semantic-v2'],
+          rollout: { percentage: 100, variation: 'semantic-v2' },
+          description: 'Beta search algorithm',
+          created_at: '2025-02-01T12:00:00Z',
+          updated_at: '2025-02-01T12:00:00Z'
+        }
+      },
+      staging: {
+        'new-checkout-flow': {
+          id: 'flag_004',
+          key: 'new-checkout-flow',
+          enabled: true,
+          environment: 'staging',
+          rollout: { percentage: 100, variation: null },
+          description: 'New checkout experience',
+          created_at: '2025-01-10T10:00:00Z',
+          updated_at: '2025-01-10T10:00:00Z'
+        },
+        'beta-search': {
+          id: 'flag_005',
+          key: 'beta-search',
+          enabled: true,
+          environment: 'staging',
+          variations: ['classic', 'semantic-v2'],
+          rollout: { percentage: 100, variation: 'semantic-v2' },
+          description: 'Beta search algorithm',
+          created_at: '2025-01-28T12:00:00Z',
+          updated_at: '2025-01-28T12:00:00Z'
+        }
+      }
+    },
+    customer_002: {
+      production: {
+        'mobile-app-redesign': {
+          id: 'flag_003',
+          key: 'mobile-app-redesign',
+          enabled: false,
+          environment: 'production',
+          description: 'Mobile app UI redesign',
+          created_at: '2025-03-10T08:00:00Z',
+          updated_at: '2025-03-10T08:00:00Z'
+        }
+      }
+    }
+  },
+
+  // Flag guardrails: { customer_id: { environment: { flag_key: { ...guardrails } } } }
+  // protected, cooldown_seconds, max_toggles per window_seconds, also_disable and
+  // blocked_while_enabled bound what PathCanary webhooks may do to the flag.
+  flagGuardrails: {},
+
+  // Rollback policies: { customer_id: { default_mode, rules: [{ severities, flag_keys, environments, mode }] } }
+  // mode is apply, dry_run or approval; customers without a policy always apply.
+  rollbackPolicies: {},
+
+  // Rollbacks waiting for a human decision: { approval_id: { ...approval } }
+  approvals: {},
+
+  // Audit log: [{ timestamp, customer_id, action, ... }]
+  auditLog: []
+}
@@ -0,0 +1,108 @@
+/**
+ * Flag change stream
+ *
+ * Pushes flag changes to client SDKs over Server-Sent Events, so an
+ * application learns that PathCanary turned a flag off as soon as the change
+ * is committed instead of on its next poll. Every connection first gets a
+ * `snapshot` with the current state of its flags, then one `change` event per
+ * change. A reconnecting client gets a fresh snapshot, so there is nothing to
+ * resume. Subscribers live in process memory: run several instances behind a
+ * load balancer and each one only sees the changes it committed itself.
+ */
+
+class FlagChangeStream {
+  /**
+   * @param {object} options
+   * @param {number} options.heartbeatMs - Interval of the keep-alive comment that stops proxies closing idle streams
+   * @param {number} options.retryMs - Reconnect delay suggested to clients
+   */
+  constructor({ heartbeatMs = 15000, retryMs = 1000 } = {}) {
+    this.heartbeatMs = heartbeatMs
+    this.retryMs = retryMs
+    this.subscribers = new Set()
+    this.nextEventId = 1
+  }
+
+  /**
+   * Turn a response into an event stream and send the snapshot
+   *
+   * `accepts(flagKey)` decides which flags the subscriber sees; the
+   * subscription ends when the client disconnects.
+   */
+  subscribe(res, { customerId, environment, accepts, flags }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx buffering the stream
+      'X-Accel-Buffering': 'no'
+    })
+    res.write(`retry: ${this.retryMs}\n\n`)
+
+    const subscriber = { customerId, environment, accepts, res }
+    this.subscribers.add(subscriber)
+
+    this.send(subscriber, 'snapshot', {
+      environment,
+      flags: flags.filter(flag => accepts(flag.key)),
+      sent_at: new Date().toISOString()
+    })
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatMs)
+    heartbeat.unref()
+
+    res.on('close', () => {
+      clearInterval(heartbeat)
+      this.subscribers.delete(subscriber)
+    })
+
+    return subscriber
+  }
+
+  /**
+   * Send a committed change to every subscriber that watches the flag, returns the number reached
+   */
+  publish(customerId, environment, change) {
+    let delivered = 0
+
+    for (const subscriber of this.subscribers) {
+      if (subscriber.customerId !== customerId || subscriber.environment !== environment || !subscriber.accepts(change.flag_key)) {
+        continue
+      }
+
+      this.send(subscriber, 'change', { ...change, sent_at: new Date().toISOString() })
+      delivered++
+    }
+
+    return delivered
+  }
+
+  /**
+   * Open connections per customer: { customer_id: count }
+   */
+  connections() {
+    const counts = {}
+
+    for (const { customerId } of this.subscribers) {
+      counts[customerId] = (counts[customerId] || 0) + 1
+    }
+
+    return counts
+  }
+
+  /**
+   * Close every open stream
+   */
+  stop() {
+    for (const subscriber of this.subscribers) {
+      subscriber.res.end()
+    }
+    this.subscribers.clear()
+  }
+
+  send(subscriber, event, data) {
+    subscriber.res.write(`id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+}
+
+module.exports = { FlagChangeStream }
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Generate pathcanary.schema.json from the OpenAPI spec
+ *
+ * Copies components.schemas from docs/API_SPECIFICATION.yaml into a plain
+ * JSON Schema document, so the server and the SDK validate against the same
+ * definitions as the documentation. OpenAPI-only keywords are translated:
+ * `nullable` becomes a `null` type and `example` is dropped.
+ *
+ *   node generate.js          Rewrite pathcanary.schema.json
+ *   node generate.js --check  Exit 1 if it is out of date with the spec
+ */
+
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+
+const SPEC_FILE = path.join(__dirname, '..', 'docs', 'API_SPECIFICATION.yaml')
+const SCHEMA_FILE = path.join(__dirname, 'pathcanary.schema.json')
+
+const OPENAPI_ONLY = ['example', 'examples', 'nullable']
+
+function generate() {
+  const spec = YAML.parse(fs.readFileSync(SPEC_FILE, 'utf8'))
+
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $comment: 'Generated from docs/API_SPECIFICATION.yaml by schemas/generate.js. Do not edit by hand.',
+    title: spec.info.title,
+    definitions: toJsonSchema(spec.components.schemas)
+  }
+
+  return JSON.stringify(schema, null, 2) + '\n'
+}
+
+/**
+ * OpenAPI schema object (or map of them) to JSON Schema
+ */
+function toJsonSchema(node) {
+  if (Array.isArray(node)) {
+    return node.map(toJsonSchema)
+  }
+
+  if (!node || typeof node !== 'object') {
+    return node
+  }
+
+  const converted = {}
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$ref') {
+      converted.$ref = value.replace('#/components/schemas/', '#/definitions/')
+    } else if (!OPENAPI_ONLY.includes(key)) {
+      converted[key] = toJsonSchema(value)
+    }
+  }
+
+  return node.nullable === true ? allowNull(converted) : converted
+}
+
+/**
+ * JSON Schema equivalent of `nullable: true`
+ */
+function allowNull(schema) {
+  if (typeof schema.type === 'string') {
+    return {
+      ...schema,
+      type: [schema.type, 'null'],
+      ...(schema.enum && { enum: [...schema.enum, null] })
+    }
+  }
+
+  // No single type to extend (e.g. allOf with a $ref): accept the schema or null
+  const { description, ...rest } = schema
+  return {
+    ...(description && { description }),
+    anyOf: [rest, { type: 'null' }]
+  }
+}
+
+const output = generate()
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(SCHEMA_FILE) ? fs.readFileSync(SCHEMA_FILE, 'utf8') : ''
+
+  if (current !== output) {
+    console.error('pathcanary.schema.json is out of date with docs/API_SPECIFICATION.yaml. Run `npm run generate` in schemas/.')
+    process.exit(1)
+  }
+
+  console.log('pathcanary.schema.json matches docs/API_SPECIFICATION.yaml')
+} else {
+  fs.writeFileSync(SCHEMA_FILE, output)
+  console.log(`Wrote ${path.relative(process.cwd(), SCHEMA_FILE)}`)
+}
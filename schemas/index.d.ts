@@ -0,0 +1,40 @@
+/**
+ * Types for the shared PathCanary request and response validator (index.js)
+ */
+
+export type SchemaName =
+  | 'RollbackRequest'
+  | 'RollbackResponse'
+  | 'Rollout'
+  | 'BatchRollbackRequest'
+  | 'BatchRollbackResponse'
+  | 'GuardrailCode'
+  | 'AlsoDisabled'
+  | 'RollbackMode'
+  | 'PendingApproval'
+  | 'RestoreRequest'
+  | 'RestoreResponse'
+  | 'StatusEvent'
+  | 'Error'
+  | 'ValidationError'
+
+export interface SchemaError {
+  /** JSON pointer (RFC 6901) to the failing field, '' for the value itself */
+  pointer: string
+  /** JSON Schema keyword that failed, e.g. 'required', 'type', 'enum' */
+  keyword: string
+  /** Human-readable description, e.g. 'is required' */
+  message: string
+}
+
+/** Validate a value against a named definition, returns every error (empty when valid) */
+export function validate(name: SchemaName, value: unknown): SchemaError[]
+
+/** One line per error, e.g. "/flag_key is required; /enabled must be boolean" */
+export function formatErrors(errors: SchemaError[]): string
+
+/** The generated JSON Schema document */
+export const schema: {
+  definitions: Record<SchemaName, object>
+  [key: string]: unknown
+}
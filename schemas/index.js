@@ -0,0 +1,204 @@
+/**
+ * PathCanary request and response validation
+ *
+ * Validates payloads against the definitions in pathcanary.schema.json
+ * (generated from the OpenAPI spec). The validator is deliberately small: it
+ * implements the JSON Schema keywords the spec uses and nothing else, so
+ * neither the server nor the SDK needs a dependency for it.
+ *
+ * Every failing field is reported, each with a JSON pointer (RFC 6901) into
+ * the validated value:
+ *
+ *   validate('RollbackRequest', body)
+ *   // [{ pointer: '/metadata/severity', keyword: 'enum', message: 'must be one of: critical, high, medium, low' }]
+ */
+
+const schema = require('./pathcanary.schema.json')
+
+// RFC 3339 date-time, as required by JSON Schema's `date-time` format
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}[Tt]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/
+
+const FORMATS = {
+  'date-time': value => DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)),
+  uri: value => {
+    try {
+      new URL(value)
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+}
+
+/**
+ * Validate a value against a named definition, returns every error (empty when valid)
+ */
+function validate(name, value) {
+  if (!schema.definitions[name]) {
+    throw new Error(`Unknown schema '${name}'. Expected one of: ${Object.keys(schema.definitions).join(', ')}`)
+  }
+
+  const errors = []
+  check(schema.definitions[name], value, '', errors)
+  return errors
+}
+
+/**
+ * One line per error, e.g. "/flag_key is required; /enabled must be boolean"
+ */
+function formatErrors(errors) {
+  return errors.map(error => `${error.pointer || '/'} ${error.message}`).join('; ')
+}
+
+function check(node, value, pointer, errors) {
+  if (node.$ref) {
+    check(resolveRef(node.$ref), value, pointer, errors)
+    return
+  }
+
+  for (const subschema of node.allOf || []) {
+    check(subschema, value, pointer, errors)
+  }
+
+  if (node.anyOf) {
+    const attempts = node.anyOf.map(subschema => {
+      const subErrors = []
+      check(subschema, value, pointer, subErrors)
+      return subErrors
+    })
+
+    // None matched: report the closest alternative
+    if (!attempts.some(attempt => attempt.length === 0)) {
+      errors.push(...attempts.reduce((best, attempt) => attempt.length < best.length ? attempt : best))
+    }
+  }
+
+  if (node.type !== undefined) {
+    const types = [].concat(node.type)
+    if (!types.some(type => hasType(value, type))) {
+      errors.push({ pointer, keyword: 'type', message: `must be ${types.join(' or ')}` })
+      return
+    }
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push({ pointer, keyword: 'enum', message: `must be one of: ${node.enum.join(', ')}` })
+  }
+
+  if (typeof value === 'string') {
+    checkString(node, value, pointer, errors)
+  } else if (typeof value === 'number') {
+    checkNumber(node, value, pointer, errors)
+  } else if (Array.isArray(value)) {
+    checkArray(node, value, pointer, errors)
+  } else if (value && typeof value === 'object') {
+    checkObject(node, value, pointer, errors)
+  }
+}
+
+function checkString(node, value, pointer, errors) {
+  if (node.minLength !== undefined && value.length < node.minLength) {
+    errors.push({
+      pointer,
+      keyword: 'minLength',
+      message: node.minLength === 1 ? 'must not be empty' : `must be at least ${node.minLength} characters`
+    })
+  }
+
+  if (node.maxLength !== undefined && value.length > node.maxLength) {
+    errors.push({ pointer, keyword: 'maxLength', message: `must be at most ${node.maxLength} characters` })
+  }
+
+  if (node.pattern !== undefined && !new RegExp(node.pattern, 'u').test(value)) {
+    errors.push({ pointer, keyword: 'pattern', message: `must match pattern "${node.pattern}"` })
+  }
+
+  if (node.format !== undefined && FORMATS[node.format] && !FORMATS[node.format](value)) {
+    errors.push({ pointer, keyword: 'format', message: `must be a valid ${node.format}` })
+  }
+}
+
+function checkNumber(node, value, pointer, errors) {
+  if (node.minimum !== undefined && value < node.minimum) {
+    errors.push({ pointer, keyword: 'minimum', message: `must be >= ${node.minimum}` })
+  }
+
+  if (node.maximum !== undefined && value > node.maximum) {
+    errors.push({ pointer, keyword: 'maximum', message: `must be <= ${node.maximum}` })
+  }
+}
+
+function checkArray(node, value, pointer, errors) {
+  if (node.minItems !== undefined && value.length < node.minItems) {
+    errors.push({ pointer, keyword: 'minItems', message: `must have at least ${node.minItems} item${node.minItems === 1 ? '' : 's'}` })
+  }
+
+  if (node.maxItems !== undefined && value.length > node.maxItems) {
+    errors.push({ pointer, keyword: 'maxItems', message: `must have at most ${node.maxItems} items` })
+  }
+
+  if (node.items) {
+    value.forEach((item, index) => check(node.items, item, `${pointer}/${index}`, errors))
+  }
+}
+
+function checkObject(node, value, pointer, errors) {
+  const keys = Object.keys(value)
+
+  if (node.minProperties !== undefined && keys.length < node.minProperties) {
+    errors.push({ pointer, keyword: 'minProperties', message: `must have at least ${node.minProperties} propert${node.minProperties === 1 ? 'y' : 'ies'}` })
+  }
+
+  for (const field of node.required || []) {
+    if (value[field] === undefined) {
+      errors.push({ pointer: `${pointer}/${escapePointer(field)}`, keyword: 'required', message: 'is required' })
+    }
+  }
+
+  const properties = node.properties || {}
+
+  for (const key of keys) {
+    const fieldPointer = `${pointer}/${escapePointer(key)}`
+
+    if (properties[key]) {
+      check(properties[key], value[key], fieldPointer, errors)
+    } else if (node.additionalProperties === false) {
+      errors.push({ pointer: fieldPointer, keyword: 'additionalProperties', message: 'is not allowed' })
+    } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+      check(node.additionalProperties, value[key], fieldPointer, errors)
+    }
+  }
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null
+    case 'array': return Array.isArray(value)
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'integer': return Number.isInteger(value)
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    default: return typeof value === type
+  }
+}
+
+/**
+ * Resolve a local $ref such as #/definitions/RollbackRequest/properties/metadata
+ */
+function resolveRef(ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, segment) => {
+      if (!node || node[segment] === undefined) {
+        throw new Error(`Unresolvable $ref '${ref}'`)
+      }
+      return node[segment]
+    }, schema)
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+module.exports = { validate, formatErrors, schema }
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Build the SDK into dist/
+ *
+ *   dist/cjs      CommonJS, for require() and the pathcanary-partner CLI
+ *   dist/esm      ES modules, for import
+ *   dist/types    Declarations shared by both
+ *   dist/schemas  The request and response validator both builds load
+ *
+ *   node build.js
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { execFileSync } = require('child_process')
+
+const DIST = path.join(__dirname, 'dist')
+const SCHEMAS = path.join(__dirname, '..', 'schemas')
+const SCHEMA_FILES = ['index.js', 'index.d.ts', 'pathcanary.schema.json']
+
+function build() {
+  fs.rmSync(DIST, { recursive: true, force: true })
+
+  const tsc = require.resolve('typescript/bin/tsc')
+  for (const project of ['tsconfig.json', 'tsconfig.esm.json']) {
+    execFileSync(process.execPath, [tsc, '-p', path.join(__dirname, project)], { stdio: 'inherit' })
+  }
+
+  // .js files under dist/esm are ES modules; dist/schemas stays CommonJS, which both builds can load
+  fs.writeFileSync(path.join(DIST, 'esm', 'package.json'), JSON.stringify({ type: 'module' }, null, 2) + '\n')
+
+  // The sources import ../schemas, so a copy next to the builds resolves the same way
+  fs.mkdirSync(path.join(DIST, 'schemas'))
+  for (const file of SCHEMA_FILES) {
+    fs.copyFileSync(path.join(SCHEMAS, file), path.join(DIST, 'schemas', file))
+  }
+
+  fs.chmodSync(path.join(DIST, 'cjs', 'cli.js'), 0o755)
+}
+
+try {
+  build()
+  console.log('Built dist/cjs, dist/esm, dist/types and dist/schemas')
+} catch (error) {
+  // tsc has already printed its diagnostics
+  console.error(`Build failed: ${error.message}`)
+  process.exit(1)
+}
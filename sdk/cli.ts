@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+/**
+ * PathCanary Partner CLI
+ * Run the SDK's checks against your webhook from a terminal or a CI job
+ *
+ *   pathcanary-partner health
+ *   pathcanary-partner toggle --flag new-checkout --enabled false
+ *   pathcanary-partner test --flag new-checkout
+ *   pathcanary-partner conformance --flag new-checkout --output junit --output-file conformance.xml
+ *   pathcanary-partner replay request.json
+ *
+ * Settings come from command-line options first, then PATHCANARY_*
+ * environment variables, then a JSON config file (--config, or
+ * pathcanary.config.json in the working directory).
+ *
+ * Exit codes: 0 when every check passed, 1 when a check failed, 2 for usage
+ * or configuration errors.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs'
+import { resolve } from 'path'
+import { parseArgs } from 'util'
+import { PathCanaryPartnerClient, ToggleRequestOptions } from './client.js'
+import { HttpError } from './errors.js'
+
+const COMMANDS = ['health', 'toggle', 'test', 'conformance', 'replay'] as const
+type Command = typeof COMMANDS[number]
+
+const OUTPUT_FORMATS = ['human', 'json', 'junit'] as const
+type OutputFormat = typeof OUTPUT_FORMATS[number]
+
+const DEFAULT_CONFIG_FILE = 'pathcanary.config.json'
+
+export interface CliSettings {
+  webhookUrl?: string
+  batchWebhookUrl?: string
+  restoreWebhookUrl?: string
+  /** Defaults to /health on the webhook's host */
+  healthUrl?: string
+  apiKey?: string
+  signingSecret?: string
+  /** PEM files for HTTPS: a CA to trust, and a client certificate and key for mTLS */
+  caFile?: string
+  certFile?: string
+  keyFile?: string
+  /** Request timeout in ms */
+  timeout?: number
+  flagKey?: string
+  environment?: string
+  latencySamples?: number
+  latencyBudgetMs?: number
+}
+
+interface SettingSource {
+  key: keyof CliSettings
+  option: string
+  env: string
+  numeric?: boolean
+}
+
+// Where each setting is read from, in order: option, environment, config file
+const SETTINGS: SettingSource[] = [
+  { key: 'webhookUrl', option: 'url', env: 'PATHCANARY_WEBHOOK_URL' },
+  { key: 'batchWebhookUrl', option: 'batch-url', env: 'PATHCANARY_BATCH_WEBHOOK_URL' },
+  { key: 'restoreWebhookUrl', option: 'restore-url', env: 'PATHCANARY_RESTORE_WEBHOOK_URL' },
+  { key: 'healthUrl', option: 'health-url', env: 'PATHCANARY_HEALTH_URL' },
+  { key: 'apiKey', option: 'api-key', env: 'PATHCANARY_API_KEY' },
+  { key: 'signingSecret', option: 'signing-secret', env: 'PATHCANARY_SIGNING_SECRET' },
+  { key: 'caFile', option: 'ca', env: 'PATHCANARY_CA_FILE' },
+  { key: 'certFile', option: 'cert', env: 'PATHCANARY_CERT_FILE' },
+  { key: 'keyFile', option: 'key', env: 'PATHCANARY_KEY_FILE' },
+  { key: 'timeout', option: 'timeout', env: 'PATHCANARY_TIMEOUT', numeric: true },
+  { key: 'flagKey', option: 'flag', env: 'PATHCANARY_FLAG_KEY' },
+  { key: 'environment', option: 'environment', env: 'PATHCANARY_ENVIRONMENT' },
+  { key: 'latencySamples', option: 'latency-samples', env: 'PATHCANARY_LATENCY_SAMPLES', numeric: true },
+  { key: 'latencyBudgetMs', option: 'latency-budget', env: 'PATHCANARY_LATENCY_BUDGET_MS', numeric: true }
+]
+
+const OPTIONS = {
+  ...Object.fromEntries(SETTINGS.map(setting => [setting.option, { type: 'string' as const }])),
+  config: { type: 'string' as const },
+  output: { type: 'string' as const, short: 'o' },
+  'output-file': { type: 'string' as const },
+  enabled: { type: 'string' as const },
+  incident: { type: 'string' as const },
+  message: { type: 'string' as const },
+  endpoint: { type: 'string' as const },
+  debug: { type: 'boolean' as const },
+  help: { type: 'boolean' as const, short: 'h' }
+}
+
+const USAGE = `Usage: pathcanary-partner <command> [options]
+
+Commands:
+  health                 Check the provider's health endpoint
+  toggle                 Send one rollback request (--flag, --enabled, --incident, --message)
+  test                   Run the integration test against --flag
+  conformance            Run the spec conformance suite against --flag
+  replay <request.json>  Re-send a saved request body or a mock server exchange
+
+Connection:
+  --url <url>                Rollback webhook URL        PATHCANARY_WEBHOOK_URL
+  --batch-url <url>          Batch webhook URL           PATHCANARY_BATCH_WEBHOOK_URL
+  --restore-url <url>        Restore webhook URL         PATHCANARY_RESTORE_WEBHOOK_URL
+  --health-url <url>         Health URL                  PATHCANARY_HEALTH_URL
+  --api-key <key>            API key                     PATHCANARY_API_KEY
+  --signing-secret <secret>  Webhook signing secret      PATHCANARY_SIGNING_SECRET
+  --ca <file>                CA certificate (PEM)        PATHCANARY_CA_FILE
+  --cert <file>              Client certificate (PEM)    PATHCANARY_CERT_FILE
+  --key <file>               Client key (PEM)            PATHCANARY_KEY_FILE
+  --timeout <ms>             Request timeout             PATHCANARY_TIMEOUT
+
+Checks:
+  --flag <key>               Flag to test                PATHCANARY_FLAG_KEY
+  --environment <name>       metadata.environment        PATHCANARY_ENVIRONMENT
+  --latency-samples <n>      Conformance latency samples PATHCANARY_LATENCY_SAMPLES
+  --latency-budget <ms>      Conformance p95 budget      PATHCANARY_LATENCY_BUDGET_MS
+  --endpoint <name>          replay: rollback, batch or restore (inferred from the file by default)
+
+Output:
+  -o, --output <format>      human (default), json or junit
+  --output-file <path>       Write the report there and print a summary
+  --config <path>            JSON config file (default: ./${DEFAULT_CONFIG_FILE} when present)
+  --debug                    Log requests and responses
+  -h, --help                 Show this help
+
+Exit codes: 0 all checks passed, 1 a check failed, 2 usage or configuration error`
+
+export interface CliCheck {
+  id: string
+  name: string
+  passed: boolean
+  duration: number
+  /** Spec clause the check covers (conformance only) */
+  clause?: string
+  error?: string
+}
+
+export interface CliReport {
+  command: Command
+  success: boolean
+  checks: CliCheck[]
+  /** Command-specific data, e.g. the webhook response or latency percentiles */
+  details?: unknown
+}
+
+/**
+ * Bad arguments or configuration, exits with 2
+ */
+class UsageError extends Error {}
+
+/**
+ * Run the CLI, resolves with the exit code
+ */
+export async function main(argv: string[] = process.argv.slice(2)): Promise<number> {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true })
+    const options = values as Record<string, string | boolean | undefined>
+
+    if (options.help || positionals.length === 0) {
+      if (options.help) {
+        console.log(USAGE)
+        return 0
+      }
+      console.error(USAGE)
+      return 2
+    }
+
+    const [command, ...args] = positionals
+    if (!COMMANDS.includes(command as Command)) {
+      throw new UsageError(`Unknown command '${command}'. Expected one of: ${COMMANDS.join(', ')}`)
+    }
+
+    const format = (options.output ?? 'human') as OutputFormat
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new UsageError(`--output must be one of: ${OUTPUT_FORMATS.join(', ')}`)
+    }
+
+    const settings = loadSettings(options)
+    const report = await runCommand(command as Command, args, settings, options)
+
+    if (typeof options['output-file'] === 'string') {
+      writeFileSync(options['output-file'], render(report, format))
+      console.log(render(report, 'human'))
+    } else {
+      console.log(render(report, format))
+    }
+
+    return report.success ? 0 : 1
+
+  } catch (error: any) {
+    // parseArgs reports unknown options and missing values as TypeErrors with an ERR_PARSE_ARGS_* code
+    if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+      console.error(`pathcanary-partner: ${error.message}\nRun 'pathcanary-partner --help' for usage.`)
+      return 2
+    }
+
+    console.error(`pathcanary-partner: ${error.message}`)
+    return 1
+  }
+}
+
+/**
+ * Merge settings: command-line options over environment over config file
+ */
+function loadSettings(options: Record<string, string | boolean | undefined>): CliSettings {
+  const file = readConfigFile(options.config as string | undefined)
+  const settings: Record<string, string | number | undefined> = {}
+
+  for (const { key, option, env, numeric } of SETTINGS) {
+    const value = options[option] ?? process.env[env] ?? file[key]
+
+    if (value === undefined || value === '') {
+      continue
+    }
+
+    if (numeric) {
+      const number = Number(value)
+      if (!Number.isFinite(number) || number <= 0) {
+        throw new UsageError(`${key} must be a positive number, got '${value}'`)
+      }
+      settings[key] = number
+    } else {
+      settings[key] = String(value)
+    }
+  }
+
+  return settings as CliSettings
+}
+
+function readConfigFile(configPath?: string): Record<string, unknown> {
+  const filePath = resolve(configPath ?? DEFAULT_CONFIG_FILE)
+
+  if (!existsSync(filePath)) {
+    if (configPath) {
+      throw new UsageError(`Config file not found: ${configPath}`)
+    }
+    return {}
+  }
+
+  let config: unknown
+  try {
+    config = JSON.parse(readFileSync(filePath, 'utf8'))
+  } catch (error: any) {
+    throw new UsageError(`Config file ${filePath} is not valid JSON: ${error.message}`)
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new UsageError(`Config file ${filePath} must contain a JSON object`)
+  }
+
+  const known = SETTINGS.map(setting => setting.key as string)
+  const unknown = Object.keys(config).filter(key => !known.includes(key))
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown setting${unknown.length === 1 ? '' : 's'} in ${filePath}: ${unknown.join(', ')}`)
+  }
+
+  return config as Record<string, unknown>
+}
+
+function requireSetting<K extends keyof CliSettings>(settings: CliSettings, key: K): NonNullable<CliSettings[K]> {
+  const value = settings[key]
+
+  if (value === undefined) {
+    const { option, env } = SETTINGS.find(setting => setting.key === key)!
+    throw new UsageError(`Missing ${key}: pass --${option}, set ${env} or add "${key}" to the config file`)
+  }
+
+  return value as NonNullable<CliSettings[K]>
+}
+
+function createClient(settings: CliSettings, debug: boolean): PathCanaryPartnerClient {
+  if (Boolean(settings.certFile) !== Boolean(settings.keyFile)) {
+    throw new UsageError('certFile and keyFile must be set together')
+  }
+
+  return new PathCanaryPartnerClient({
+    webhookUrl: requireSetting(settings, 'webhookUrl'),
+    // A client certificate can authenticate instead of an API key
+    apiKey: settings.certFile ? settings.apiKey : requireSetting(settings, 'apiKey'),
+    ...(settings.batchWebhookUrl && { batchWebhookUrl: settings.batchWebhookUrl }),
+    ...(settings.restoreWebhookUrl && { restoreWebhookUrl: settings.restoreWebhookUrl }),
+    ...(settings.signingSecret && { signingSecret: settings.signingSecret }),
+    ...(settings.caFile && { ca: readPem(settings.caFile) }),
+    ...(settings.certFile && { cert: readPem(settings.certFile), key: readPem(settings.keyFile!) }),
+    ...(settings.timeout && { timeout: settings.timeout }),
+    debug
+  })
+}
+
+function readPem(file: string): string {
+  try {
+    return readFileSync(file, 'utf8')
+  } catch (error: any) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`)
+  }
+}
+
+async function runCommand(
+  command: Command,
+  args: string[],
+  settings: CliSettings,
+  options: Record<string, string | boolean | undefined>
+): Promise<CliReport> {
+  const debug = options.debug === true
+
+  switch (command) {
+    case 'health':
+      return runHealth(settings)
+    case 'toggle':
+      return runToggle(createClient(settings, debug), settings, options)
+    case 'test':
+      return runIntegration(createClient(settings, debug), settings)
+    case 'conformance':
+      return runConformance(createClient(settings, debug), settings)
+    case 'replay':
+      if (args.length !== 1) {
+        throw new UsageError('replay takes exactly one file: pathcanary-partner replay <request.json>')
+      }
+      return runReplay(createClient(settings, debug), args[0], options.endpoint as string | undefined)
+  }
+}
+
+/**
+ * GET the health endpoint, passes on a 2xx
+ */
+async function runHealth(settings: CliSettings): Promise<CliReport> {
+  const url = settings.healthUrl ?? new URL('/health', requireSetting(settings, 'webhookUrl')).toString()
+
+  const check = await timeCheck('health', `GET ${url}`, async () => {
+    const response = await fetch(url, { signal: AbortSignal.timeout(settings.timeout ?? 30000) })
+    const body = await readBody(response)
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${JSON.stringify(body)}`)
+    }
+
+    return body
+  })
+
+  return { command: 'health', success: check.passed, checks: [check.result], details: check.value }
+}
+
+/**
+ * Send one rollback, passes when the provider answers success: true
+ */
+async function runToggle(
+  client: PathCanaryPartnerClient,
+  settings: CliSettings,
+  options: Record<string, string | boolean | undefined>
+): Promise<CliReport> {
+  const flagKey = requireSetting(settings, 'flagKey')
+  const enabled = parseEnabled(options.enabled as string | undefined)
+
+  const check = await timeCheck('toggle', `Set ${flagKey} to ${enabled ? 'enabled' : 'disabled'}`, async () => {
+    const response = await client.testToggleFlag({
+      flag_key: flagKey,
+      enabled,
+      incident_id: (options.incident as string | undefined) ?? `cli-${Date.now()}`,
+      incident_message: (options.message as string | undefined) ?? 'Sent with pathcanary-partner toggle',
+      source: 'pathcanary',
+      metadata: {
+        severity: 'high',
+        timestamp: new Date().toISOString(),
+        ...(settings.environment && { environment: settings.environment })
+      }
+    })
+
+    if (!response.success) {
+      throw Object.assign(new Error(response.error || 'Provider answered success: false'), { value: response })
+    }
+
+    return response
+  })
+
+  return { command: 'toggle', success: check.passed, checks: [check.result], details: check.value }
+}
+
+function parseEnabled(value?: string): boolean {
+  if (value === undefined || value === 'false') {
+    return false
+  }
+
+  if (value === 'true') {
+    return true
+  }
+
+  throw new UsageError(`--enabled must be true or false, got '${value}'`)
+}
+
+async function runIntegration(client: PathCanaryPartnerClient, settings: CliSettings): Promise<CliReport> {
+  const { success, results } = await client.runIntegrationTest(requireSetting(settings, 'flagKey'))
+
+  return {
+    command: 'test',
+    success,
+    checks: results.map(result => ({
+      id: slug(result.test),
+      name: result.test,
+      passed: result.passed,
+      duration: result.duration,
+      ...(result.error && { error: result.error })
+    }))
+  }
+}
+
+async function runConformance(client: PathCanaryPartnerClient, settings: CliSettings): Promise<CliReport> {
+  const report = await client.runConformanceTest({
+    flagKey: requireSetting(settings, 'flagKey'),
+    ...(settings.environment && { environment: settings.environment }),
+    ...(settings.latencySamples && { latencySamples: settings.latencySamples }),
+    ...(settings.latencyBudgetMs && { latencyBudgetMs: settings.latencyBudgetMs })
+  })
+
+  return {
+    command: 'conformance',
+    success: report.success,
+    checks: report.checks,
+    details: { latency: report.latency }
+  }
+}
+
+/**
+ * Re-send a saved request
+ *
+ * Accepts a bare request body or a recorded mock server exchange
+ * ({ endpoint, request, idempotency_key }), so a delivery captured with
+ * MockPathCanary can be replayed against a fixed build. Passes on a 2xx
+ * with success: true and a response that matches the spec.
+ */
+async function runReplay(
+  client: PathCanaryPartnerClient,
+  file: string,
+  endpointOption?: string
+): Promise<CliReport> {
+  let saved: any
+  try {
+    saved = JSON.parse(readFileSync(file, 'utf8'))
+  } catch (error: any) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`)
+  }
+
+  const isExchange = saved && typeof saved.request === 'object' && typeof saved.endpoint === 'string'
+  const body = isExchange ? saved.request : saved
+  const endpoint = endpointOption ?? (isExchange ? saved.endpoint : inferEndpoint(body))
+
+  // The client signs, validates the response against the spec and throws typed errors
+  const send: Record<string, (options: ToggleRequestOptions) => Promise<{ success: boolean; error?: string }>> = {
+    rollback: options => client.testToggleFlag(body, options),
+    batch: options => client.testBatchToggle(body, options),
+    restore: options => client.testRestore(body, options)
+  }
+
+  if (!send[endpoint]) {
+    throw new UsageError(`--endpoint must be one of: ${Object.keys(send).join(', ')}`)
+  }
+
+  const check = await timeCheck('replay', `Replay ${file} to ${endpoint} endpoint`, async () => {
+    const response = await send[endpoint](isExchange && saved.idempotency_key ? { idempotencyKey: saved.idempotency_key } : {})
+
+    if (response.success !== true) {
+      throw Object.assign(new Error(response.error || 'Provider answered success: false'), { value: response })
+    }
+
+    return response
+  })
+
+  return { command: 'replay', success: check.passed, checks: [check.result], details: check.value }
+}
+
+function inferEndpoint(body: any): string {
+  if (Array.isArray(body?.flags)) {
+    return 'batch'
+  }
+
+  return body?.flag_key !== undefined ? 'rollback' : 'restore'
+}
+
+/**
+ * Run one check, recording its duration and turning a throw into a failure
+ * An error may carry the response in `value` so it still lands in the report;
+ * an HttpError's status and body are reported the same way
+ */
+async function timeCheck<T>(
+  id: string,
+  name: string,
+  fn: () => Promise<T>
+): Promise<{ passed: boolean; result: CliCheck; value?: T }> {
+  const startTime = Date.now()
+
+  try {
+    const value = await fn()
+    return { passed: true, result: { id, name, passed: true, duration: Date.now() - startTime }, value }
+  } catch (error: any) {
+    const message = error.name === 'TimeoutError' ? `Request timeout: ${error.message}` : error.message
+    return {
+      passed: false,
+      result: { id, name, passed: false, duration: Date.now() - startTime, error: message },
+      value: error instanceof HttpError ? { status: error.status, body: error.body } : error.value
+    }
+  }
+}
+
+async function readBody(response: Response): Promise<any> {
+  const text = await response.text()
+
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    return text
+  }
+}
+
+function slug(text: string): string {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+}
+
+function render(report: CliReport, format: OutputFormat): string {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(report, null, 2)
+    case 'junit':
+      return renderJUnit(report)
+    default:
+      return renderHuman(report)
+  }
+}
+
+function renderHuman(report: CliReport): string {
+  const passed = report.checks.filter(check => check.passed).length
+  const lines = [`PathCanary ${report.command}: ${passed}/${report.checks.length} passed`, '']
+
+  for (const check of report.checks) {
+    lines.push(`  ${check.passed ? '✓' : '✗'} ${check.name} (${check.duration}ms)`)
+    if (check.error) {
+      lines.push(`      ${check.error}`)
+    }
+    if (!check.passed && check.clause) {
+      lines.push(`      See ${check.clause}`)
+    }
+  }
+
+  if (report.details !== undefined) {
+    lines.push('', JSON.stringify(report.details, null, 2))
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * JUnit XML, one testsuite per run, for CI test reporters
+ */
+function renderJUnit(report: CliReport): string {
+  const failures = report.checks.filter(check => !check.passed).length
+  const seconds = (ms: number) => (ms / 1000).toFixed(3)
+  const total = report.checks.reduce((sum, check) => sum + check.duration, 0)
+
+  const cases = report.checks.map(check => {
+    const open = `    <testcase classname="pathcanary.${report.command}.${escapeXml(check.id)}" name="${escapeXml(check.name)}" time="${seconds(check.duration)}"`
+    const children = [
+      ...(check.passed ? [] : [`      <failure message="${escapeXml(check.error ?? 'failed')}">${escapeXml(check.error ?? '')}</failure>`]),
+      ...(check.clause ? [`      <properties><property name="clause" value="${escapeXml(check.clause)}"/></properties>`] : [])
+    ]
+
+    return children.length === 0 ? `${open}/>` : `${open}>\n${children.join('\n')}\n    </testcase>`
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${report.checks.length}" failures="${failures}" time="${seconds(total)}">`,
+    `  <testsuite name="pathcanary-partner ${report.command}" tests="${report.checks.length}" failures="${failures}" errors="0" time="${seconds(total)}" timestamp="${new Date().toISOString()}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n')
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code
+  })
+}
@@ -6,35 +6,298 @@
  * @license MIT
  */
 
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto'
+import { createServer, IncomingHttpHeaders } from 'http'
+import { Agent, request as httpsRequest } from 'https'
+import { AddressInfo } from 'net'
+import { validate, formatErrors, SchemaError, SchemaName } from '../schemas/index.js'
+import { AuthError, HttpError, NetworkError, ResponseValidationError, TimeoutError } from './errors.js'
+
+/** Longest wait between retries, including one asked for with Retry-After */
+const MAX_RETRY_DELAY_MS = 10000
+
+/**
+ * Rollout of a percentage or multivariate flag
+ * A rollback usually drops `percentage` to 0 or switches `variation` back to a safe one
+ */
+export interface PathCanaryRollout {
+  /** Share of traffic that gets the flag, 0-100 */
+  percentage?: number
+  /** Variation served to the rolled-out traffic */
+  variation?: string | null
+}
+
 export interface PathCanaryRollbackRequest {
   flag_key: string
   enabled: boolean
   incident_id: string
   incident_message: string
   source: 'pathcanary'
+  /** Optional rollout change applied together with `enabled` */
+  rollout?: PathCanaryRollout
+  /** Where the provider POSTs signed status events (applied, propagated, failed) */
+  callback_url?: string
   metadata?: {
     organization_id?: string
     funnel_id?: string
     severity?: 'critical' | 'high' | 'medium' | 'low'
     timestamp?: string
+    /** Environment the rollback applies to (e.g. 'staging'); providers default to production */
+    environment?: string
   }
 }
 
+/**
+ * Why a guardrail of the flag refused the change; such refusals are final
+ */
+export type PathCanaryGuardrailCode = 'FLAG_PROTECTED' | 'COOLDOWN_ACTIVE' | 'TOGGLE_LIMIT_EXCEEDED' | 'DEPENDENCY_BLOCKED'
+
+/**
+ * Every error code of the API specification: request errors, then guardrail refusals
+ */
+export type PathCanaryErrorCode =
+  | 'INVALID_API_KEY'
+  | 'INSUFFICIENT_SCOPE'
+  | 'INVALID_JSON'
+  | 'VALIDATION_ERROR'
+  | 'PAYLOAD_TOO_LARGE'
+  | 'IDEMPOTENCY_IN_PROGRESS'
+  | 'RATE_LIMITED'
+  | PathCanaryGuardrailCode
+
+/**
+ * Flag a dependency rule disabled together with the requested one
+ */
+export interface PathCanaryAlsoDisabled {
+  flag_key: string
+  previous_state: boolean
+  new_state: boolean
+}
+
+/**
+ * How the provider handled a change under the customer's rollback policy
+ * apply: flag changed; dry_run: change only reported; approval: queued for a human decision
+ */
+export type PathCanaryRollbackMode = 'apply' | 'dry_run' | 'approval'
+
+/**
+ * Change a provider queued for approval instead of applying it
+ */
+export interface PathCanaryPendingApproval {
+  id: string
+  status: 'pending' | 'approved' | 'rejected' | 'expired' | 'failed'
+  /** When the change expires unapplied if nobody decides */
+  expires_at?: string
+}
+
 export interface PathCanaryRollbackResponse {
   success: boolean
   flag_key: string
   previous_state: boolean
+  /** For dry_run and approval modes, the state the change would set */
+  new_state: boolean
+  /** Only present for flags with a rollout */
+  previous_rollout?: PathCanaryRollout | null
+  new_rollout?: PathCanaryRollout | null
+  /** Only present when a dependency rule disabled other flags with this one */
+  also_disabled?: PathCanaryAlsoDisabled[]
+  /** Omitted by providers without rollback policies: the change was applied */
+  mode?: PathCanaryRollbackMode
+  /** Only present when mode is 'approval' */
+  approval?: PathCanaryPendingApproval
+  error?: string
+  /** Why the request failed, e.g. the guardrail that refused the change */
+  code?: PathCanaryErrorCode
+  provider_metadata?: Record<string, any>
+}
+
+export interface PathCanaryBatchRollbackRequest {
+  flags: Array<{
+    flag_key: string
+    enabled: boolean
+    rollout?: PathCanaryRollout
+  }>
+  incident_id: string
+  incident_message: string
+  source: 'pathcanary'
+  callback_url?: string
+  metadata?: PathCanaryRollbackRequest['metadata']
+}
+
+export interface PathCanaryBatchFlagResult {
+  flag_key: string
+  success: boolean
+  previous_state: boolean
   new_state: boolean
+  previous_rollout?: PathCanaryRollout | null
+  new_rollout?: PathCanaryRollout | null
+  also_disabled?: PathCanaryAlsoDisabled[]
+  error?: string
+  code?: PathCanaryErrorCode
+}
+
+export interface PathCanaryBatchRollbackResponse {
+  success: boolean
+  incident_id: string
+  results: PathCanaryBatchFlagResult[]
+  /** The most cautious mode of the batch's flags */
+  mode?: PathCanaryRollbackMode
+  approval?: PathCanaryPendingApproval
   error?: string
+  /** Why the request failed, e.g. the guardrail that refused the change */
+  code?: PathCanaryErrorCode
   provider_metadata?: Record<string, any>
 }
 
+export interface PathCanaryRestoreRequest {
+  incident_id: string
+  incident_message?: string
+  source: 'pathcanary'
+}
+
+export interface PathCanaryRestoreResult extends PathCanaryBatchFlagResult {
+  environment?: string
+  status: 'restored' | 'unchanged' | 'conflict' | 'not_found' | 'forbidden' | 'archived' | 'blocked' | 'error'
+  changed_at?: string
+  changed_by?: string
+}
+
+export interface PathCanaryRestoreResponse {
+  success: boolean
+  incident_id: string
+  results: PathCanaryRestoreResult[]
+  error?: string
+  provider_metadata?: Record<string, any>
+}
+
+/**
+ * Status event a provider POSTs to `callback_url` after a rollback
+ */
+export interface PathCanaryCallbackEvent {
+  event_id: string
+  /** applied: flag changed; propagated: change reached SDK caches; failed: not applied */
+  event: 'applied' | 'propagated' | 'failed'
+  incident_id: string
+  flag_key: string
+  environment: string
+  previous_state: boolean
+  new_state: boolean
+  previous_rollout?: PathCanaryRollout | null
+  new_rollout?: PathCanaryRollout | null
+  error?: string
+  /** Flag whose dependency rule disabled this one */
+  cascaded_from?: string
+  request_id?: string
+  occurred_at: string
+}
+
+export interface ReceivedCallback {
+  event: PathCanaryCallbackEvent
+  headers: IncomingHttpHeaders
+  /** False when the signature, timestamp or body was invalid; such deliveries are answered with 401 */
+  signatureValid: boolean
+  /** Delivery attempt for this event_id, starting at 1 */
+  attempt: number
+  /** HTTP status the receiver answered with */
+  status: number
+  receivedAt: Date
+}
+
+export interface CallbackReceiverOptions {
+  /** Port to listen on (default: any free port) */
+  port?: number
+  /** Host to bind and to use in `url` (default: localhost) */
+  host?: string
+  /** Path of the callback URL (default: /pathcanary/callbacks) */
+  path?: string
+  /** HTTP status to answer a valid delivery with, e.g. 503 on the first attempt to test retries (default: 200) */
+  respond?: (event: PathCanaryCallbackEvent, attempt: number) => number
+  /** Larger request bodies are answered with 413 (default: 64 KiB) */
+  maxBodyBytes?: number
+}
+
+export interface PathCanaryCallbackReceiver {
+  /** Pass as `callback_url` in rollback requests */
+  url: string
+  /** Every delivery received so far */
+  callbacks: ReceivedCallback[]
+  /** Resolve with the first accepted (validly signed, answered 2xx) event matching all given fields */
+  waitForEvent(match: Partial<PathCanaryCallbackEvent>, timeoutMs?: number): Promise<PathCanaryCallbackEvent>
+  close(): Promise<void>
+}
+
+export interface ConformanceOptions {
+  /** Existing flag the runner may disable (use a test flag: it is left disabled) */
+  flagKey: string
+  /** Sent as metadata.environment; the provider default is used when omitted */
+  environment?: string
+  /** Extra rollbacks sent to measure response time (default: 20) */
+  latencySamples?: number
+  /** p95 response time budget in ms (default: 500, the Performance Requirements target) */
+  latencyBudgetMs?: number
+  /** Size of the body sent to check oversized requests are rejected (default: 1 MiB) */
+  oversizedBodyBytes?: number
+}
+
+export interface ConformanceCheck {
+  /** Stable identifier, e.g. 'auth.missing' */
+  id: string
+  name: string
+  /** Spec clause the check covers, e.g. 'API_SPECIFICATION.yaml#/paths/~1webhook~1pathcanary/post/responses/401' */
+  clause: string
+  passed: boolean
+  duration: number
+  error?: string
+}
+
+export interface ConformanceReport {
+  success: boolean
+  passed: number
+  failed: number
+  checks: ConformanceCheck[]
+  /** Response times of every successful rollback sent during the run, in ms */
+  latency: {
+    samples: number
+    p50: number
+    p95: number
+    p99: number
+    max: number
+  }
+}
+
+export interface ToggleRequestOptions {
+  /** Sent as the Idempotency-Key header; retries with the same key must replay the original response */
+  idempotencyKey?: string
+}
+
 export interface PartnerSDKConfig {
   webhookUrl: string
-  apiKey: string
+  /** Batch endpoint, defaults to `${webhookUrl}/batch` */
+  batchWebhookUrl?: string
+  /** Restore endpoint, defaults to `${webhookUrl}/restore` */
+  restoreWebhookUrl?: string
+  /** Sent as a Bearer token; may be left out when `cert` authenticates the client instead */
+  apiKey?: string
+  /** Webhook signing secret; when set, requests carry X-PathCanary-Signature headers */
+  signingSecret?: string
   timeout?: number
   retryAttempts?: number
   debug?: boolean
+  /** PEM CA certificates trusted for https webhook URLs instead of the system ones, e.g. a self-signed test CA */
+  ca?: string | Buffer
+  /** PEM client certificate presented to https webhook URLs (mTLS); needs `key` */
+  cert?: string | Buffer
+  /** PEM private key of `cert` */
+  key?: string | Buffer
+}
+
+type TlsOption = 'ca' | 'cert' | 'key'
+
+interface PostInit {
+  method: string
+  headers: Record<string, string>
+  body: string
+  signal: AbortSignal
 }
 
 /**
@@ -42,57 +305,128 @@ export interface PartnerSDKConfig {
  * Use this to test and validate your integration with PathCanary
  */
 export class PathCanaryPartnerClient {
-  private config: Required<PartnerSDKConfig>
+  private config: Required<Omit<PartnerSDKConfig, TlsOption>>
+  /** Set when the config has TLS options, which fetch cannot take; the second one presents no client certificate */
+  private agent: Agent | null
+  private anonymousAgent: Agent | null
 
   constructor(config: PartnerSDKConfig) {
+    const { ca, cert, key, ...rest } = config
+
+    if (Boolean(cert) !== Boolean(key)) {
+      throw new Error('PartnerSDKConfig: cert and key must be set together')
+    }
+
+    if (!config.apiKey && !cert) {
+      throw new Error('PartnerSDKConfig: set apiKey, or cert and key to authenticate with a client certificate')
+    }
+
     this.config = {
+      apiKey: '',
+      batchWebhookUrl: `${config.webhookUrl.replace(/\/+$/, '')}/batch`,
+      restoreWebhookUrl: `${config.webhookUrl.replace(/\/+$/, '')}/restore`,
+      signingSecret: '',
       timeout: 30000,
       retryAttempts: 3,
       debug: false,
-      ...config
+      ...rest
     }
+    this.agent = ca || cert ? new Agent({ ca, cert, key, minVersion: 'TLSv1.2' }) : null
+    this.anonymousAgent = ca ? new Agent({ ca, minVersion: 'TLSv1.2' }) : null
   }
 
   /**
    * Test feature flag toggle endpoint
    * This simulates what PathCanary will send when a rollback is triggered
    */
-  async testToggleFlag(request: PathCanaryRollbackRequest): Promise<PathCanaryRollbackResponse> {
+  async testToggleFlag(
+    request: PathCanaryRollbackRequest,
+    options: ToggleRequestOptions = {}
+  ): Promise<PathCanaryRollbackResponse> {
+    const data = await this.sendRequest<PathCanaryRollbackResponse>(this.config.webhookUrl, request, options)
+
+    // Validate response structure
+    this.validateResponse(data)
+
+    return data
+  }
+
+  /**
+   * Test batch toggle endpoint
+   * Several flags for one incident, applied all-or-nothing
+   */
+  async testBatchToggle(
+    request: PathCanaryBatchRollbackRequest,
+    options: ToggleRequestOptions = {}
+  ): Promise<PathCanaryBatchRollbackResponse> {
+    const data = await this.sendRequest<PathCanaryBatchRollbackResponse>(this.config.batchWebhookUrl, request, options)
+
+    this.validateBatchResponse(data)
+
+    return data
+  }
+
+  /**
+   * Test restore endpoint
+   * Reverts every flag an incident changed back to its pre-incident state
+   */
+  async testRestore(
+    request: PathCanaryRestoreRequest,
+    options: ToggleRequestOptions = {}
+  ): Promise<PathCanaryRestoreResponse> {
+    const data = await this.sendRequest<PathCanaryRestoreResponse>(this.config.restoreWebhookUrl, request, options)
+
+    this.validateRestoreResponse(data)
+
+    return data
+  }
+
+  /**
+   * POST a signed PathCanary request and parse the JSON response
+   */
+  private async sendRequest<T>(url: string, payload: unknown, options: ToggleRequestOptions): Promise<T> {
     const startTime = Date.now()
+    // Covers the whole exchange, reading the body included
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout)
 
     try {
       if (this.config.debug) {
-        console.log('[PathCanary SDK] Sending request:', JSON.stringify(request, null, 2))
+        console.log('[PathCanary SDK] Sending request:', JSON.stringify(payload, null, 2))
       }
 
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), this.config.timeout)
+      const body = JSON.stringify(payload)
 
-      const response = await fetch(this.config.webhookUrl, {
+      const response = await this.post(url, {
         method: 'POST',
         headers: {
-          'Authorization': `Bearer ${this.config.apiKey}`,
+          ...(this.config.apiKey ? { 'Authorization': `Bearer ${this.config.apiKey}` } : {}),
           'Content-Type': 'application/json',
           'User-Agent': 'PathCanary-Partner-SDK/1.0.0',
-          'X-PathCanary-Request-ID': this.generateRequestId()
+          'X-PathCanary-Request-ID': this.generateRequestId(),
+          ...(options.idempotencyKey ? { 'Idempotency-Key': options.idempotencyKey } : {}),
+          ...this.signRequest(body)
         },
-        body: JSON.stringify(request),
+        body,
         signal: controller.signal
       })
 
-      clearTimeout(timeoutId)
-
       const responseTime = Date.now() - startTime
 
+      const text = await response.text()
+      clearTimeout(timeoutId)
+
       if (!response.ok) {
-        const errorText = await response.text()
-        throw new Error(`HTTP ${response.status}: ${errorText}`)
+        const ErrorClass = response.status === 401 || response.status === 403 ? AuthError : HttpError
+        throw new ErrorClass(response.status, parseBody(text), this.parseRetryAfter(response.headers.get('retry-after')))
       }
 
-      const data: PathCanaryRollbackResponse = await response.json()
-
-      // Validate response structure
-      this.validateResponse(data)
+      let data: T
+      try {
+        data = JSON.parse(text)
+      } catch (error) {
+        throw new ResponseValidationError(`Response is not valid JSON: ${text.slice(0, 200)}`, [], text)
+      }
 
       if (this.config.debug) {
         console.log(`[PathCanary SDK] Response received (${responseTime}ms):`, JSON.stringify(data, null, 2))
@@ -106,72 +440,286 @@ export class PathCanaryPartnerClient {
       }
 
       if (error.name === 'AbortError') {
-        throw new Error(`Request timeout after ${this.config.timeout}ms`)
+        throw new TimeoutError(`Request timeout after ${this.config.timeout}ms`, this.config.timeout)
+      }
+
+      // fetch rejects with a TypeError when no response arrives; the reason is in `cause`
+      if (error instanceof TypeError) {
+        const cause = error.cause as { code?: string; message?: string } | undefined
+        const reason = cause?.code ?? cause?.message
+        throw new NetworkError(`Network error: ${error.message}${reason ? ` (${reason})` : ''}`, error)
       }
 
       throw error
+    } finally {
+      clearTimeout(timeoutId)
     }
   }
 
   /**
-   * Test feature flag toggle with automatic retry
+   * Send a request with fetch, or with node:https when TLS options are set
+   * Either way the result is a fetch Response, and failures to connect
+   * reject with a TypeError carrying the reason in `cause`, as fetch does.
+   * Without `credentials` the client certificate is left out too.
    */
-  async testToggleFlagWithRetry(request: PathCanaryRollbackRequest): Promise<PathCanaryRollbackResponse> {
-    let lastError: Error | null = null
+  private post(url: string, init: PostInit, credentials = true): Promise<Response> {
+    const agent = credentials ? this.agent : this.anonymousAgent
+    if (!agent || new URL(url).protocol !== 'https:') {
+      return fetch(url, init)
+    }
 
-    for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
+    return new Promise((resolve, reject) => {
+      const req = httpsRequest(url, { method: init.method, headers: init.headers, agent, signal: init.signal }, (res) => {
+        const chunks: Buffer[] = []
+        res.on('data', (chunk: Buffer) => chunks.push(chunk))
+        res.on('error', reject)
+        res.on('end', () => {
+          const headers = new Headers()
+          for (const [name, value] of Object.entries(res.headers)) {
+            for (const item of ([] as string[]).concat(value ?? [])) {
+              headers.append(name, item)
+            }
+          }
+          const body = chunks.length > 0 ? Buffer.concat(chunks) : null
+          resolve(new Response(body, { status: res.statusCode, statusText: res.statusMessage, headers }))
+        })
+      })
+
+      req.on('error', (error: Error) => {
+        reject(error.name === 'AbortError' ? error : Object.assign(new TypeError('fetch failed'), { cause: error }))
+      })
+      req.end(init.body)
+    })
+  }
+
+  /**
+   * Test feature flag toggle with automatic retry
+   * Only retryable errors (timeouts, network errors, 408, 425, 429 and 5xx)
+   * are retried; anything else, and the last error once attempts run out,
+   * is thrown as is.
+   */
+  async testToggleFlagWithRetry(
+    request: PathCanaryRollbackRequest,
+    options: ToggleRequestOptions = {}
+  ): Promise<PathCanaryRollbackResponse> {
+    for (let attempt = 1; ; attempt++) {
       try {
         if (this.config.debug && attempt > 1) {
           console.log(`[PathCanary SDK] Retry attempt ${attempt}/${this.config.retryAttempts}`)
         }
 
-        return await this.testToggleFlag(request)
+        return await this.testToggleFlag(request, options)
       } catch (error: any) {
-        lastError = error
+        if (!error.retryable || attempt >= this.config.retryAttempts) {
+          throw error
+        }
 
-        if (attempt < this.config.retryAttempts) {
-          const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000) // Exponential backoff
-          if (this.config.debug) {
-            console.log(`[PathCanary SDK] Waiting ${delay}ms before retry...`)
-          }
-          await new Promise(resolve => setTimeout(resolve, delay))
+        // Wait as long as the server asks (429/503 Retry-After), otherwise back off exponentially
+        const delay = Math.min(error.retryAfterMs ?? 1000 * Math.pow(2, attempt - 1), MAX_RETRY_DELAY_MS)
+        if (this.config.debug) {
+          console.log(`[PathCanary SDK] ${error.message}; waiting ${delay}ms before retry...`)
         }
+        await new Promise(resolve => setTimeout(resolve, delay))
       }
     }
+  }
 
-    throw new Error(`Failed after ${this.config.retryAttempts} attempts: ${lastError?.message}`)
+  /**
+   * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+   */
+  private parseRetryAfter(header: string | null): number | undefined {
+    if (!header) {
+      return undefined
+    }
+
+    const seconds = Number(header)
+    if (Number.isFinite(seconds) && seconds >= 0) {
+      return seconds * 1000
+    }
+
+    const date = Date.parse(header)
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now())
   }
 
   /**
    * Validate that your endpoint returns the correct response format
+   * Checks against the RollbackResponse schema from the OpenAPI spec and
+   * throws listing every failing field
    */
   validateResponse(response: any): void {
-    const required = ['success', 'flag_key', 'previous_state', 'new_state']
-    const missing = required.filter(field => !(field in response))
+    this.assertSchema('RollbackResponse', response, 'Invalid response')
+  }
+
+  /**
+   * Validate that your batch endpoint returns the correct response format
+   */
+  validateBatchResponse(response: any): void {
+    this.assertSchema('BatchRollbackResponse', response, 'Invalid batch response')
+  }
+
+  /**
+   * Validate that your restore endpoint returns the correct response format
+   */
+  validateRestoreResponse(response: any): void {
+    this.assertSchema('RestoreResponse', response, 'Invalid restore response')
+  }
+
+  /**
+   * Throw a ResponseValidationError when a value does not match a schema;
+   * its `errors` lists every failing field with its JSON pointer
+   */
+  private assertSchema(schemaName: SchemaName, value: unknown, message: string): void {
+    const errors: SchemaError[] = validate(schemaName, value)
 
-    if (missing.length > 0) {
-      throw new Error(`Invalid response: missing required fields: ${missing.join(', ')}`)
+    if (errors.length > 0) {
+      throw new ResponseValidationError(`${message}: ${formatErrors(errors)}`, errors, value)
     }
+  }
 
-    if (typeof response.success !== 'boolean') {
-      throw new Error('Invalid response: "success" must be a boolean')
+  /**
+   * Build the signature headers PathCanary sends with every webhook.
+   * The signature is HMAC-SHA256 over `${timestamp}.${nonce}.${body}`.
+   * Returns no headers when no signing secret is configured.
+   */
+  signRequest(body: string, timestamp?: number, nonce?: string): Record<string, string> {
+    if (!this.config.signingSecret) {
+      return {}
     }
 
-    if (typeof response.flag_key !== 'string') {
-      throw new Error('Invalid response: "flag_key" must be a string')
+    const ts = String(timestamp ?? Math.floor(Date.now() / 1000))
+    const requestNonce = nonce ?? randomBytes(8).toString('hex')
+    const signature = createHmac('sha256', this.config.signingSecret)
+      .update(`${ts}.${requestNonce}.${body}`)
+      .digest('hex')
+
+    return {
+      'X-PathCanary-Timestamp': ts,
+      'X-PathCanary-Nonce': requestNonce,
+      'X-PathCanary-Signature': `v1=${signature}`
+    }
+  }
+
+  /**
+   * Start a local HTTP server that receives status callbacks from your endpoint.
+   * Deliveries are checked against `signingSecret` (when set) the same way your
+   * endpoint checks PathCanary's webhooks.
+   */
+  async startCallbackReceiver(options: CallbackReceiverOptions = {}): Promise<PathCanaryCallbackReceiver> {
+    const host = options.host ?? 'localhost'
+    const path = options.path ?? '/pathcanary/callbacks'
+    const respond = options.respond ?? (() => 200)
+    const maxBodyBytes = options.maxBodyBytes ?? 64 * 1024
+    const callbacks: ReceivedCallback[] = []
+    const attempts = new Map<string, number>()
+    const waiters: Array<() => void> = []
+
+    const server = createServer((req, res) => {
+      let body = ''
+      let size = 0
+      req.on('data', chunk => {
+        size += chunk.length
+        // Keep reading so the 413 can be sent, but stop buffering
+        if (size <= maxBodyBytes) {
+          body += chunk
+        }
+      })
+      req.on('end', () => {
+        if (req.method !== 'POST' || req.url !== path) {
+          res.writeHead(404).end()
+          return
+        }
+
+        if (size > maxBodyBytes) {
+          res.writeHead(413).end()
+          return
+        }
+
+        let event: PathCanaryCallbackEvent
+        try {
+          event = JSON.parse(body)
+        } catch {
+          res.writeHead(400).end()
+          return
+        }
+
+        // Valid JSON that is not an event object (null, a string, an array)
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+          res.writeHead(400).end()
+          return
+        }
+
+        const attempt = (attempts.get(event.event_id) ?? 0) + 1
+        attempts.set(event.event_id, attempt)
+
+        const signatureValid = this.verifyCallbackSignature(body, req.headers)
+        const status = signatureValid ? respond(event, attempt) : 401
+        callbacks.push({ event, headers: req.headers, signatureValid, attempt, status, receivedAt: new Date() })
+
+        if (this.config.debug) {
+          console.log(`[PathCanary SDK] Callback '${event.event}' for ${event.flag_key} (attempt ${attempt}, signature ${signatureValid ? 'valid' : 'invalid'}, answered ${status})`)
+        }
+
+        res.writeHead(status).end()
+        waiters.splice(0).forEach(wake => wake())
+      })
+    })
+
+    await new Promise<void>(resolve => server.listen(options.port ?? 0, host, resolve))
+    const { port } = server.address() as AddressInfo
+
+    return {
+      url: `http://${host}:${port}${path}`,
+      callbacks,
+      waitForEvent: async (match, timeoutMs = 10000) => {
+        const deadline = Date.now() + timeoutMs
+        const matches = (c: ReceivedCallback) => c.status >= 200 && c.status < 300 &&
+          Object.entries(match).every(([field, value]) => c.event[field as keyof PathCanaryCallbackEvent] === value)
+
+        while (true) {
+          const found = callbacks.find(matches)
+          if (found) {
+            return found.event
+          }
+
+          const remaining = deadline - Date.now()
+          if (remaining <= 0) {
+            throw new TimeoutError(`No callback matching ${JSON.stringify(match)} within ${timeoutMs}ms`, timeoutMs)
+          }
+
+          await new Promise<void>(resolve => {
+            const timer = setTimeout(resolve, remaining)
+            waiters.push(() => { clearTimeout(timer); resolve() })
+          })
+        }
+      },
+      close: () => new Promise<void>((resolve, reject) => server.close(error => (error ? reject(error) : resolve())))
     }
+  }
 
-    if (typeof response.previous_state !== 'boolean') {
-      throw new Error('Invalid response: "previous_state" must be a boolean')
+  /**
+   * Check a callback's signature headers against `signingSecret`.
+   * Always valid when no signing secret is configured.
+   */
+  private verifyCallbackSignature(body: string, headers: IncomingHttpHeaders): boolean {
+    if (!this.config.signingSecret) {
+      return true
     }
 
-    if (typeof response.new_state !== 'boolean') {
-      throw new Error('Invalid response: "new_state" must be a boolean')
+    const timestamp = Number(headers['x-pathcanary-timestamp'])
+    const nonce = headers['x-pathcanary-nonce']
+    const signature = headers['x-pathcanary-signature']
+
+    if (!Number.isInteger(timestamp) || typeof nonce !== 'string' || typeof signature !== 'string') {
+      return false
     }
 
-    if (response.error && typeof response.error !== 'string') {
-      throw new Error('Invalid response: "error" must be a string')
+    if (Math.abs(Date.now() / 1000 - timestamp) > 300) {
+      return false
     }
+
+    const expected = Buffer.from(this.signRequest(body, timestamp, nonce)['X-PathCanary-Signature'])
+    const received = Buffer.from(signature)
+    return expected.length === received.length && timingSafeEqual(expected, received)
   }
 
   /**
@@ -210,23 +758,18 @@ export class PathCanaryPartnerClient {
       }
     })
 
-    // Test 2: Verify error handling
+    // Test 2: Verify error handling - an unknown flag is a 200 with success: false, not an HTTP error
     await this.runTest(results, 'Error handling for invalid flag', async () => {
-      try {
-        await this.testToggleFlag({
-          flag_key: 'invalid-flag-that-does-not-exist-xyz',
-          enabled: false,
-          incident_id: 'test-incident-456',
-          incident_message: 'Integration test - error case',
-          source: 'pathcanary'
-        })
-        throw new Error('Should have thrown an error for invalid flag')
-      } catch (error: any) {
-        // Expected error
-        if (error.message.includes('Should have thrown')) {
-          throw error
-        }
-        // Good - error was handled
+      const response = await this.testToggleFlag({
+        flag_key: 'invalid-flag-that-does-not-exist-xyz',
+        enabled: false,
+        incident_id: 'test-incident-456',
+        incident_message: 'Integration test - error case',
+        source: 'pathcanary'
+      })
+
+      if (response.success !== false || !response.error) {
+        throw new Error(`Expected success: false with an error message, got ${JSON.stringify(response)}`)
       }
     })
 
@@ -247,6 +790,74 @@ export class PathCanaryPartnerClient {
       }
     })
 
+    // Test 4: Idempotency - a retried request must replay the original response
+    // Only successful responses are replayed, so the first delivery has to succeed
+    await this.runTest(results, 'Duplicate request returns identical response', async () => {
+      const request: PathCanaryRollbackRequest = {
+        flag_key: flagKey,
+        enabled: false,
+        incident_id: `test-incident-idempotency-${Date.now()}`,
+        incident_message: 'Integration test - duplicate delivery',
+        source: 'pathcanary'
+      }
+
+      const first = await this.testToggleFlag(request)
+      if (!first.success) {
+        throw new Error(`First delivery failed, nothing to replay: ${first.error}`)
+      }
+      const second = await this.testToggleFlag(request)
+
+      if (JSON.stringify(first) !== JSON.stringify(second)) {
+        throw new Error(
+          `Duplicate request returned a different response: ${JSON.stringify(first)} vs ${JSON.stringify(second)}`
+        )
+      }
+    })
+
+    // Test 5: Restore - flip the flag under an incident, then restore the incident
+    await this.runTest(results, 'Restore reverts an incident\'s toggle', async () => {
+      const incidentId = `test-incident-restore-${Date.now()}`
+
+      // Pin the flag to a known state first, so the flip below is a real change
+      const setup = await this.testToggleFlag({
+        flag_key: flagKey,
+        enabled: false,
+        incident_id: `${incidentId}-setup`,
+        incident_message: 'Integration test - state before restore',
+        source: 'pathcanary'
+      })
+      const original = setup.new_state
+
+      const flip = await this.testToggleFlag({
+        flag_key: flagKey,
+        enabled: !original,
+        incident_id: incidentId,
+        incident_message: 'Integration test - toggle before restore',
+        source: 'pathcanary'
+      })
+
+      if (!flip.success || flip.new_state !== !original) {
+        throw new Error(`Expected '${flagKey}' toggled to ${!original}, got ${JSON.stringify(flip)}`)
+      }
+
+      const restore = await this.testRestore({
+        incident_id: incidentId,
+        incident_message: 'Integration test - restore',
+        source: 'pathcanary'
+      })
+
+      const result = restore.results.find(r => r.flag_key === flagKey)
+      if (!result) {
+        throw new Error(`Restore response has no result for '${flagKey}'`)
+      }
+
+      if (result.status !== 'restored' || result.new_state !== original) {
+        throw new Error(
+          `Expected '${flagKey}' restored to ${original}, got ${result.status} (new_state ${result.new_state})`
+        )
+      }
+    })
+
     const allPassed = results.every(r => r.passed)
 
     return {
@@ -255,6 +866,266 @@ export class PathCanaryPartnerClient {
     }
   }
 
+  /**
+   * Run the spec conformance suite against your endpoints
+   *
+   * Goes through the API_SPECIFICATION.yaml contract: authentication,
+   * required and invalid fields, source, malformed and oversized bodies,
+   * unicode flag keys, duplicate delivery, batch and restore responses, the
+   * request ID header and response time percentiles. Every check names the
+   * spec clause it covers. Checks never throw; read `report.success`.
+   */
+  async runConformanceTest(options: ConformanceOptions): Promise<ConformanceReport> {
+    const {
+      flagKey,
+      environment,
+      latencySamples = 20,
+      latencyBudgetMs = 500,
+      oversizedBodyBytes = 1024 * 1024
+    } = options
+    const checks: ConformanceCheck[] = []
+    const latencies: number[] = []
+    const runId = randomBytes(4).toString('hex')
+    const webhook = 'API_SPECIFICATION.yaml#/paths/~1webhook~1pathcanary/post'
+    const schemas = 'API_SPECIFICATION.yaml#/components/schemas'
+
+    const rollback = (overrides: Record<string, unknown> = {}): Record<string, unknown> => ({
+      flag_key: flagKey,
+      enabled: false,
+      incident_id: `conformance-${runId}-${checks.length}`,
+      incident_message: 'PathCanary conformance test',
+      source: 'pathcanary',
+      metadata: {
+        severity: 'critical',
+        timestamp: new Date().toISOString(),
+        ...(environment && { environment })
+      },
+      ...overrides
+    })
+
+    const send = async (payload: unknown, postOptions: RawPostOptions = {}): Promise<RawResponse> => {
+      const response = await this.rawPost(postOptions.url ?? this.config.webhookUrl, JSON.stringify(payload), postOptions)
+      if (response.status === 200 && response.body?.success) {
+        latencies.push(response.duration)
+      }
+      return response
+    }
+
+    const check = (id: string, name: string, clause: string, fn: () => Promise<void>) =>
+      this.runConformanceCheck(checks, { id, name, clause }, fn)
+
+    // Authentication
+    await check('auth.missing', 'Rejects requests without an API key', `${webhook}/responses/401`, async () => {
+      expectStatus(await send(rollback(), { auth: false }), 401)
+    })
+
+    await check('auth.invalid', 'Rejects an invalid API key', `${webhook}/responses/401`, async () => {
+      expectStatus(await send(rollback(), { apiKey: `pc_conformance_invalid_${runId}` }), 401)
+    })
+
+    await check('auth.scheme', 'Rejects a non-Bearer Authorization header', 'API_SPECIFICATION.yaml#/components/securitySchemes/BearerAuth', async () => {
+      expectStatus(await send(rollback(), { headers: { 'Authorization': `Basic ${Buffer.from(`pathcanary:${this.config.apiKey}`).toString('base64')}` } }), 401)
+    })
+
+    if (this.config.signingSecret) {
+      await check('auth.signature', 'Rejects a request whose signature does not match the body', `${webhook}/responses/401`, async () => {
+        const body = JSON.stringify(rollback())
+        const headers = this.signRequest(body)
+        expectStatus(await this.rawPost(this.config.webhookUrl, body.replace('"enabled":false', '"enabled":true'), { headers, sign: false }), 401)
+      })
+    }
+
+    // Happy path
+    await check('rollback.success', 'Disables the flag and returns a valid RollbackResponse', `${webhook}/responses/200`, async () => {
+      const response = await send(rollback())
+      expectStatus(response, 200)
+      this.validateResponse(response.body)
+
+      if (response.body.success !== true || response.body.new_state !== false || response.body.flag_key !== flagKey) {
+        throw new Error(`Expected success with new_state false for '${flagKey}', got ${response.text}`)
+      }
+    })
+
+    await check('rollback.request_id', 'Echoes X-PathCanary-Request-ID', 'API_SPECIFICATION.yaml#/components/headers/RequestId', async () => {
+      const requestId = `pc_conformance_${runId}`
+      const response = await send(rollback(), { headers: { 'X-PathCanary-Request-ID': requestId } })
+      const echoed = response.headers.get('x-pathcanary-request-id')
+
+      if (echoed !== requestId) {
+        throw new Error(`Expected X-PathCanary-Request-ID '${requestId}', got '${echoed}'`)
+      }
+    })
+
+    await check('rollback.duplicate', 'Duplicate request returns the identical response', `${webhook}/description`, async () => {
+      const payload = rollback()
+      const first = await send(payload)
+      const second = await send(payload)
+      expectStatus(first, 200)
+
+      if (first.status !== second.status || first.text !== second.text) {
+        throw new Error(`Duplicate request returned a different response: ${first.text} vs ${second.text}`)
+      }
+    })
+
+    // Flags the provider cannot toggle
+    await check('rollback.unknown_flag', 'Unknown flag returns 200 with success: false', `${webhook}/responses/200`, async () => {
+      const response = await send(rollback({ flag_key: `conformance-missing-flag-${runId}` }))
+      expectStatus(response, 200)
+      this.validateResponse(response.body)
+
+      if (response.body.success !== false || typeof response.body.error !== 'string') {
+        throw new Error(`Expected success: false with an error message, got ${response.text}`)
+      }
+    })
+
+    await check('rollback.unicode_flag_key', 'Unicode flag keys are echoed unchanged', `${schemas}/RollbackResponse/properties/flag_key`, async () => {
+      const unicodeKey = `conformance-ünïcødé-フラグ-🚀-${runId}`
+      const response = await send(rollback({ flag_key: unicodeKey }))
+      expectStatus(response, 200)
+      this.validateResponse(response.body)
+
+      if (response.body.flag_key !== unicodeKey) {
+        throw new Error(`Expected flag_key '${unicodeKey}', got '${response.body.flag_key}'`)
+      }
+    })
+
+    // Request validation
+    for (const field of ['flag_key', 'enabled', 'incident_id', 'incident_message', 'source']) {
+      await check(`validation.missing.${field}`, `Rejects a request without ${field}`, `${schemas}/RollbackRequest/required`, async () => {
+        const { [field]: omitted, ...payload } = rollback()
+        expectError(await send(payload), 400)
+      })
+    }
+
+    const invalidFields: Array<[string, string, Record<string, unknown>]> = [
+      ['flag_key', 'flag_key', { flag_key: 42 }],
+      ['enabled', 'enabled', { enabled: 'false' }],
+      ['incident_id', 'incident_id', { incident_id: '' }],
+      ['rollout.percentage', 'Rollout/properties/percentage', { rollout: { percentage: 150 } }],
+      ['callback_url', 'callback_url', { callback_url: 'not a url' }],
+      ['metadata.severity', 'metadata/properties/severity', { metadata: { severity: 'catastrophic' } }],
+      ['metadata.timestamp', 'metadata/properties/timestamp', { metadata: { timestamp: 'yesterday' } }]
+    ]
+
+    for (const [field, path, overrides] of invalidFields) {
+      const clause = path.startsWith('Rollout') ? `${schemas}/${path}` : `${schemas}/RollbackRequest/properties/${path}`
+      await check(`validation.invalid.${field}`, `Rejects an invalid ${field}`, clause, async () => {
+        expectError(await send(rollback(overrides)), 400)
+      })
+    }
+
+    await check('validation.source', 'Rejects a source other than pathcanary', `${schemas}/RollbackRequest/properties/source`, async () => {
+      expectError(await send(rollback({ source: 'not-pathcanary' })), 400)
+    })
+
+    await check('validation.malformed_json', 'Rejects a body that is not JSON', `${webhook}/responses/400`, async () => {
+      expectError(await this.rawPost(this.config.webhookUrl, '{"flag_key": "', {}), 400)
+    })
+
+    await check('validation.oversized', 'Rejects an oversized body with 413', `${webhook}/responses/413`, async () => {
+      const payload = rollback({ incident_message: 'x'.repeat(oversizedBodyBytes) })
+      expectError(await send(payload), 413)
+    })
+
+    // Batch and restore
+    await check('batch.success', 'Batch endpoint returns a valid BatchRollbackResponse', 'API_SPECIFICATION.yaml#/paths/~1webhook~1pathcanary~1batch/post/responses/200', async () => {
+      const { flag_key, enabled, ...batch } = rollback()
+      const response = await send({ ...batch, flags: [{ flag_key: flagKey, enabled: false }] }, { url: this.config.batchWebhookUrl })
+      expectStatus(response, 200)
+      this.validateBatchResponse(response.body)
+    })
+
+    await check('restore.success', 'Restore endpoint returns a valid RestoreResponse', 'API_SPECIFICATION.yaml#/paths/~1webhook~1pathcanary~1restore/post/responses/200', async () => {
+      const incidentId = `conformance-${runId}-restore`
+      await send(rollback({ incident_id: incidentId }))
+
+      const response = await send({ incident_id: incidentId, source: 'pathcanary' }, { url: this.config.restoreWebhookUrl })
+      expectStatus(response, 200)
+      this.validateRestoreResponse(response.body)
+    })
+
+    // Response time
+    for (let i = 0; i < latencySamples; i++) {
+      await send(rollback({ incident_id: `conformance-${runId}-latency-${i}` }))
+    }
+
+    const latency = summarizeLatency(latencies)
+
+    await check('performance.timeout', 'Every rollback completes within 5 seconds', `${webhook}/description`, async () => {
+      if (latency.max > 5000) {
+        throw new Error(`Slowest rollback took ${latency.max}ms`)
+      }
+    })
+
+    await check('performance.p95', `p95 response time under ${latencyBudgetMs}ms`, 'INTEGRATION_GUIDE.md#performance-requirements', async () => {
+      if (latency.samples === 0) {
+        throw new Error('No successful rollback to measure')
+      }
+
+      if (latency.p95 > latencyBudgetMs) {
+        throw new Error(`p95 ${latency.p95}ms exceeds ${latencyBudgetMs}ms (p50 ${latency.p50}ms, p99 ${latency.p99}ms)`)
+      }
+    })
+
+    const failed = checks.filter(c => !c.passed).length
+
+    return {
+      success: failed === 0,
+      passed: checks.length - failed,
+      failed,
+      checks,
+      latency
+    }
+  }
+
+  private async runConformanceCheck(
+    checks: ConformanceCheck[],
+    check: Pick<ConformanceCheck, 'id' | 'name' | 'clause'>,
+    fn: () => Promise<void>
+  ): Promise<void> {
+    const start = Date.now()
+
+    try {
+      await fn()
+      checks.push({ ...check, passed: true, duration: Date.now() - start })
+    } catch (error: any) {
+      checks.push({ ...check, passed: false, duration: Date.now() - start, error: error.message })
+    }
+  }
+
+  /**
+   * POST a raw body and return the response whatever its status
+   * Used by the conformance runner to send requests the typed methods refuse to build
+   */
+  private async rawPost(url: string, body: string, options: RawPostOptions): Promise<RawResponse> {
+    const { auth = true, sign = true, apiKey = this.config.apiKey, headers = {} } = options
+    const start = Date.now()
+
+    const response = await this.post(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PathCanary-Partner-SDK/1.0.0',
+        'X-PathCanary-Request-ID': this.generateRequestId(),
+        ...(auth && apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...(sign && this.signRequest(body)),
+        ...headers
+      },
+      body,
+      signal: AbortSignal.timeout(this.config.timeout)
+    }, auth)
+
+    const text = await response.text()
+    let parsed: any = null
+    try {
+      parsed = JSON.parse(text)
+    } catch (error) {
+      // Not JSON; checks that need a body report it
+    }
+
+    return { status: response.status, headers: response.headers, text, body: parsed, duration: Date.now() - start }
+  }
+
   private async runTest(
     results: Array<{ test: string; passed: boolean; duration: number; error?: string }>,
     name: string,
@@ -280,13 +1151,83 @@ export class PathCanaryPartnerClient {
   }
 }
 
+interface RawPostOptions {
+  url?: string
+  /** Send the Authorization header and the client certificate (default: true) */
+  auth?: boolean
+  /** Sign the body when a signing secret is configured (default: true) */
+  sign?: boolean
+  apiKey?: string
+  headers?: Record<string, string>
+}
+
+interface RawResponse {
+  status: number
+  headers: Headers
+  text: string
+  /** Parsed JSON body, null when the body is not JSON */
+  body: any
+  duration: number
+}
+
+/**
+ * Parsed JSON body, or the text itself when it is not JSON (error bodies may be plain text)
+ */
+function parseBody(text: string): unknown {
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    return text
+  }
+}
+
+function expectStatus(response: RawResponse, status: number): void {
+  if (response.status !== status) {
+    throw new Error(`Expected HTTP ${status}, got ${response.status}: ${response.text.slice(0, 200)}`)
+  }
+}
+
+/**
+ * Expect an error status with a body matching the Error schema
+ */
+function expectError(response: RawResponse, status: number): void {
+  expectStatus(response, status)
+
+  const errors = validate('Error', response.body)
+  if (errors.length > 0) {
+    throw new Error(`Error response does not match the Error schema: ${formatErrors(errors)}`)
+  }
+}
+
+/**
+ * Nearest-rank percentiles of response times in ms
+ */
+function summarizeLatency(durations: number[]): ConformanceReport['latency'] {
+  const sorted = [...durations].sort((a, b) => a - b)
+  const percentile = (p: number) => sorted.length === 0 ? 0 : sorted[Math.ceil((p / 100) * sorted.length) - 1]
+
+  return {
+    samples: sorted.length,
+    p50: percentile(50),
+    p95: percentile(95),
+    p99: percentile(99),
+    max: sorted.length === 0 ? 0 : sorted[sorted.length - 1]
+  }
+}
+
 /**
  * Helper function to create a test client quickly
  */
-export function createTestClient(webhookUrl: string, apiKey: string, debug = false): PathCanaryPartnerClient {
+export function createTestClient(
+  webhookUrl: string,
+  apiKey: string,
+  debug = false,
+  signingSecret?: string
+): PathCanaryPartnerClient {
   return new PathCanaryPartnerClient({
     webhookUrl,
     apiKey,
+    signingSecret,
     debug
   })
 }
@@ -0,0 +1,98 @@
+/**
+ * PathCanary Partner SDK errors
+ * Every failure the client throws is one of these classes, so callers can
+ * branch with `instanceof` instead of parsing messages
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import type { SchemaError } from '../schemas/index.js'
+
+/**
+ * Responses PathCanary retries: timeouts, throttling and server errors
+ * (see Idempotency in the info description of docs/API_SPECIFICATION.yaml)
+ */
+export const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504]
+
+/**
+ * Base class of every SDK error
+ */
+export class PathCanaryError extends Error {
+  /** Whether sending the same request again may succeed */
+  readonly retryable: boolean
+  /** Underlying error, e.g. the fetch failure behind a NetworkError */
+  readonly cause?: unknown
+
+  constructor(message: string, options: { retryable?: boolean; cause?: unknown } = {}) {
+    super(message)
+    this.name = new.target.name
+    this.retryable = options.retryable ?? false
+    if (options.cause !== undefined) {
+      this.cause = options.cause
+    }
+  }
+}
+
+/**
+ * No response within the configured timeout
+ */
+export class TimeoutError extends PathCanaryError {
+  readonly timeoutMs: number
+
+  constructor(message: string, timeoutMs: number) {
+    super(message, { retryable: true })
+    this.timeoutMs = timeoutMs
+  }
+}
+
+/**
+ * The request never got a response: connection refused, DNS failure, TLS error
+ */
+export class NetworkError extends PathCanaryError {
+  constructor(message: string, cause?: unknown) {
+    super(message, { retryable: true, cause })
+  }
+}
+
+/**
+ * The endpoint answered with a non-2xx status
+ * Retryable for 408, 425, 429 and 5xx; `retryAfterMs` is set from Retry-After
+ */
+export class HttpError extends PathCanaryError {
+  readonly status: number
+  /** Parsed JSON body, or the raw text when it is not JSON */
+  readonly body: unknown
+  readonly retryAfterMs?: number
+
+  constructor(status: number, body: unknown, retryAfterMs?: number) {
+    super(`HTTP ${status}: ${typeof body === 'string' ? body : JSON.stringify(body)}`, {
+      retryable: RETRYABLE_STATUS.includes(status)
+    })
+    this.status = status
+    this.body = body
+    if (retryAfterMs !== undefined) {
+      this.retryAfterMs = retryAfterMs
+    }
+  }
+}
+
+/**
+ * The endpoint rejected the credentials or signature (401) or the key's scope (403)
+ */
+export class AuthError extends HttpError {}
+
+/**
+ * A 2xx response that does not match the spec's response schema
+ * `errors` lists every failing field with its JSON pointer
+ */
+export class ResponseValidationError extends PathCanaryError {
+  readonly errors: SchemaError[]
+  readonly response: unknown
+
+  constructor(message: string, errors: SchemaError[], response: unknown) {
+    super(message)
+    this.errors = errors
+    this.response = response
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * PathCanary Partner SDK
+ * Package entry point: the client, its error classes and the mock PathCanary service
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+export * from './client.js'
+export * from './errors.js'
+export * from './mock-server.js'
@@ -0,0 +1,558 @@
+/**
+ * PathCanary Mock Server
+ * A local stand-in for the hosted PathCanary service, for offline end-to-end tests
+ *
+ * Configure funnels and the flags they roll back, simulate an incident with a
+ * severity, and the mock calls your webhook the way PathCanary does: signed
+ * requests, the same retry and backoff schedule, Retry-After honoured, and
+ * a restore when the incident is resolved. Every attempt is recorded.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { randomBytes } from 'crypto'
+import { createServer, IncomingMessage, Server, ServerResponse } from 'http'
+import { AddressInfo } from 'net'
+import {
+  PathCanaryPartnerClient,
+  PathCanaryCallbackReceiver,
+  PathCanaryRollout,
+  ReceivedCallback
+} from './client.js'
+import { validate, SchemaError, SchemaName } from '../schemas/index.js'
+import { RETRYABLE_STATUS } from './errors.js'
+
+export type IncidentSeverity = 'critical' | 'high' | 'medium' | 'low'
+
+/** Most severe first */
+export const SEVERITIES: IncidentSeverity[] = ['critical', 'high', 'medium', 'low']
+
+/**
+ * PathCanary's retry schedule: up to 3 retries, 1s, 2s then 4s apart
+ * A 429 or 503 with Retry-After is retried after that delay instead, up to MAX_RETRY_AFTER_MS
+ */
+export const DEFAULT_RETRY_DELAYS_MS = [1000, 2000, 4000]
+
+/** Longest Retry-After the mock waits for before retrying */
+export const MAX_RETRY_AFTER_MS = 10000
+
+export interface MockFlagMapping {
+  flag_key: string
+  /** State the flag is set to during an incident (default: false) */
+  enabled?: boolean
+  rollout?: PathCanaryRollout
+  /** Sent as metadata.environment (default: the provider's default environment) */
+  environment?: string
+  /** Least severe incident that rolls this flag back (default: 'high') */
+  minSeverity?: IncidentSeverity
+}
+
+export interface MockFunnel {
+  id: string
+  name?: string
+  flags: MockFlagMapping[]
+}
+
+export interface MockPathCanaryOptions {
+  webhookUrl: string
+  /** Batch endpoint, defaults to `${webhookUrl}/batch` */
+  batchWebhookUrl?: string
+  /** Restore endpoint, defaults to `${webhookUrl}/restore` */
+  restoreWebhookUrl?: string
+  apiKey: string
+  signingSecret?: string
+  funnels?: MockFunnel[]
+  organizationId?: string
+  /** 'single' sends one rollback per flag, 'batch' one batch request per incident (default: 'single') */
+  mode?: 'single' | 'batch'
+  /** Delays before each retry (default: DEFAULT_RETRY_DELAYS_MS) */
+  retryDelaysMs?: number[]
+  /** Multiplies every wait, e.g. 0.01 to run the real schedule 100x faster in tests (default: 1) */
+  timeScale?: number
+  /** Timeout of a single attempt in ms (default: 5000, the spec's limit) */
+  timeoutMs?: number
+  /** Ask the provider for status callbacks and record them (default: true) */
+  callbacks?: boolean
+  /** Port of the mock's HTTP API (default: any free port) */
+  port?: number
+  /** Host to bind (default: localhost) */
+  host?: string
+  debug?: boolean
+}
+
+export interface MockAttempt {
+  attempt: number
+  /** How long the mock waited before this attempt (unscaled schedule delay) */
+  delay_ms: number
+  sent_at: string
+  request_headers: Record<string, string>
+  status?: number
+  response_body?: any
+  /** Network error or timeout */
+  error?: string
+  /** Response body problems against the spec's response schema */
+  schema_errors?: SchemaError[]
+  duration_ms: number
+}
+
+export interface MockExchange {
+  incident_id: string
+  endpoint: 'rollback' | 'batch' | 'restore'
+  url: string
+  idempotency_key: string
+  flag_keys: string[]
+  request: Record<string, any>
+  attempts: MockAttempt[]
+  /** succeeded: a 2xx with success: true; rejected: a final answer with success: false or a 4xx; failed: retries exhausted */
+  outcome: 'succeeded' | 'rejected' | 'failed'
+  response?: any
+}
+
+export interface MockIncident {
+  id: string
+  funnel_id: string
+  severity: IncidentSeverity
+  message: string
+  /** ignored: no flag mapped at this severity */
+  status: 'rolled_back' | 'partially_rolled_back' | 'failed' | 'ignored' | 'resolved'
+  created_at: string
+  resolved_at?: string
+  exchanges: MockExchange[]
+}
+
+export interface SimulateIncidentOptions {
+  funnelId: string
+  severity?: IncidentSeverity
+  message?: string
+  /** Defaults to a generated inc_ id */
+  incidentId?: string
+}
+
+/**
+ * Local mock of the PathCanary service
+ */
+export class MockPathCanary {
+  readonly funnels = new Map<string, MockFunnel>()
+  readonly incidents = new Map<string, MockIncident>()
+
+  private options: Required<Omit<MockPathCanaryOptions, 'funnels' | 'signingSecret' | 'port'>> & Pick<MockPathCanaryOptions, 'signingSecret' | 'port'>
+  private client: PathCanaryPartnerClient
+  private server: Server | null = null
+  private receiver: PathCanaryCallbackReceiver | null = null
+  private baseUrl = ''
+
+  constructor(options: MockPathCanaryOptions) {
+    const webhookUrl = options.webhookUrl.replace(/\/+$/, '')
+
+    this.options = {
+      batchWebhookUrl: `${webhookUrl}/batch`,
+      restoreWebhookUrl: `${webhookUrl}/restore`,
+      organizationId: 'org_mock',
+      mode: 'single',
+      retryDelaysMs: DEFAULT_RETRY_DELAYS_MS,
+      timeScale: 1,
+      timeoutMs: 5000,
+      callbacks: true,
+      host: 'localhost',
+      debug: false,
+      ...options
+    }
+
+    // Signing and callback verification are the SDK's own
+    this.client = new PathCanaryPartnerClient({
+      webhookUrl: options.webhookUrl,
+      apiKey: options.apiKey,
+      signingSecret: options.signingSecret,
+      debug: options.debug
+    })
+
+    for (const funnel of options.funnels ?? []) {
+      this.addFunnel(funnel)
+    }
+  }
+
+  /**
+   * Start the HTTP API and, unless disabled, the status callback receiver
+   */
+  async start(): Promise<{ url: string }> {
+    if (this.options.callbacks) {
+      this.receiver = await this.client.startCallbackReceiver({ host: this.options.host })
+    }
+
+    this.server = createServer((req, res) => this.handle(req, res))
+    await new Promise<void>(resolve => this.server!.listen(this.options.port ?? 0, this.options.host, resolve))
+
+    const { port } = this.server.address() as AddressInfo
+    this.baseUrl = `http://${this.options.host}:${port}`
+
+    return { url: this.baseUrl }
+  }
+
+  async stop(): Promise<void> {
+    if (this.receiver) {
+      await this.receiver.close()
+      this.receiver = null
+    }
+
+    if (this.server) {
+      const server = this.server
+      this.server = null
+      await new Promise<void>((resolve, reject) => server.close(error => (error ? reject(error) : resolve())))
+    }
+  }
+
+  /** Base URL of the HTTP API, once started */
+  get url(): string {
+    return this.baseUrl
+  }
+
+  /** Status callbacks the provider sent, once started */
+  get callbacks(): ReceivedCallback[] {
+    return this.receiver ? this.receiver.callbacks : []
+  }
+
+  addFunnel(funnel: MockFunnel): MockFunnel {
+    if (!funnel.id || !Array.isArray(funnel.flags)) {
+      throw new Error('A funnel needs an id and a flags array')
+    }
+
+    this.funnels.set(funnel.id, funnel)
+    return funnel
+  }
+
+  /**
+   * Every webhook exchange so far, oldest first
+   */
+  exchanges(): MockExchange[] {
+    return [...this.incidents.values()].flatMap(incident => incident.exchanges)
+  }
+
+  /**
+   * Raise an incident on a funnel and roll back its flags
+   * Resolves once every request succeeded, was rejected or ran out of retries
+   */
+  async simulateIncident(options: SimulateIncidentOptions): Promise<MockIncident> {
+    const funnel = this.funnels.get(options.funnelId)
+    if (!funnel) {
+      throw new Error(`Unknown funnel '${options.funnelId}'`)
+    }
+
+    const severity = options.severity ?? 'critical'
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown severity '${severity}'. Expected one of: ${SEVERITIES.join(', ')}`)
+    }
+
+    const incident: MockIncident = {
+      id: options.incidentId ?? `inc_${randomBytes(6).toString('hex')}`,
+      funnel_id: funnel.id,
+      severity,
+      message: options.message ?? `Simulated ${severity} incident on ${funnel.name ?? funnel.id}`,
+      status: 'ignored',
+      created_at: new Date().toISOString(),
+      exchanges: []
+    }
+    this.incidents.set(incident.id, incident)
+
+    const flags = funnel.flags.filter(flag =>
+      SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(flag.minSeverity ?? 'high'))
+
+    if (flags.length === 0) {
+      return incident
+    }
+
+    const base = {
+      incident_id: incident.id,
+      incident_message: incident.message,
+      source: 'pathcanary',
+      ...(this.receiver && { callback_url: this.receiver.url })
+    }
+    const metadata = (flag: MockFlagMapping) => ({
+      organization_id: this.options.organizationId,
+      funnel_id: funnel.id,
+      severity,
+      timestamp: incident.created_at,
+      ...(flag.environment && { environment: flag.environment })
+    })
+
+    if (this.options.mode === 'batch') {
+      // One batch per environment: a batch applies to a single environment
+      const environments = [...new Set(flags.map(flag => flag.environment))]
+
+      for (const environment of environments) {
+        const group = flags.filter(flag => flag.environment === environment)
+        incident.exchanges.push(await this.deliver(incident.id, 'batch', this.options.batchWebhookUrl, {
+          ...base,
+          flags: group.map(flag => ({ flag_key: flag.flag_key, enabled: flag.enabled ?? false, ...(flag.rollout && { rollout: flag.rollout }) })),
+          metadata: metadata(group[0])
+        }))
+      }
+    } else {
+      for (const flag of flags) {
+        incident.exchanges.push(await this.deliver(incident.id, 'rollback', this.options.webhookUrl, {
+          ...base,
+          flag_key: flag.flag_key,
+          enabled: flag.enabled ?? false,
+          ...(flag.rollout && { rollout: flag.rollout }),
+          metadata: metadata(flag)
+        }))
+      }
+    }
+
+    const succeeded = incident.exchanges.filter(exchange => exchange.outcome === 'succeeded').length
+    incident.status = succeeded === incident.exchanges.length
+      ? 'rolled_back'
+      : succeeded > 0 ? 'partially_rolled_back' : 'failed'
+
+    return incident
+  }
+
+  /**
+   * Resolve an incident: PathCanary asks the provider to restore its flags
+   */
+  async resolveIncident(incidentId: string, message = 'Incident resolved'): Promise<MockIncident> {
+    const incident = this.incidents.get(incidentId)
+    if (!incident) {
+      throw new Error(`Unknown incident '${incidentId}'`)
+    }
+
+    if (incident.status !== 'ignored' && incident.status !== 'resolved') {
+      incident.exchanges.push(await this.deliver(incident.id, 'restore', this.options.restoreWebhookUrl, {
+        incident_id: incident.id,
+        incident_message: message,
+        source: 'pathcanary'
+      }))
+    }
+
+    incident.status = 'resolved'
+    incident.resolved_at = new Date().toISOString()
+    return incident
+  }
+
+  /**
+   * Send one logical request, retrying on PathCanary's schedule
+   *
+   * Retries keep the body and Idempotency-Key; each attempt is signed afresh
+   * with a new timestamp and nonce, as the real service does.
+   */
+  private async deliver(
+    incidentId: string,
+    endpoint: MockExchange['endpoint'],
+    url: string,
+    request: Record<string, any>
+  ): Promise<MockExchange> {
+    const exchange: MockExchange = {
+      incident_id: incidentId,
+      endpoint,
+      url,
+      idempotency_key: `${incidentId}:${endpoint}:${randomBytes(4).toString('hex')}`,
+      flag_keys: request.flags ? request.flags.map((flag: any) => flag.flag_key) : request.flag_key ? [request.flag_key] : [],
+      request,
+      attempts: [],
+      outcome: 'failed'
+    }
+    const body = JSON.stringify(request)
+    const requestId = `pc_${Date.now()}_${randomBytes(4).toString('hex')}`
+    let delayMs = 0
+
+    for (let attempt = 1; ; attempt++) {
+      if (delayMs > 0) {
+        await sleep(delayMs * this.options.timeScale)
+      }
+
+      const headers: Record<string, string> = {
+        'Authorization': `Bearer ${this.options.apiKey}`,
+        'Content-Type': 'application/json',
+        'User-Agent': 'PathCanary-Mock/1.0.0',
+        'X-PathCanary-Request-ID': requestId,
+        'Idempotency-Key': exchange.idempotency_key,
+        ...this.client.signRequest(body)
+      }
+      const record: MockAttempt = {
+        attempt,
+        delay_ms: delayMs,
+        sent_at: new Date().toISOString(),
+        request_headers: headers,
+        duration_ms: 0
+      }
+      exchange.attempts.push(record)
+
+      const start = Date.now()
+      let retryAfterMs: number | undefined
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.options.timeoutMs)
+        })
+        const text = await response.text()
+
+        record.status = response.status
+        record.response_body = parseJson(text)
+        record.duration_ms = Date.now() - start
+
+        if (response.ok) {
+          const schemaErrors = validate(RESPONSE_SCHEMAS[endpoint], record.response_body)
+          if (schemaErrors.length > 0) {
+            record.schema_errors = schemaErrors
+          }
+
+          exchange.response = record.response_body
+          exchange.outcome = record.response_body?.success === true ? 'succeeded' : 'rejected'
+          this.log(`${endpoint} ${exchange.flag_keys.join(', ') || incidentId}: attempt ${attempt} answered ${response.status} (${exchange.outcome})`)
+          return exchange
+        }
+
+        if (!RETRYABLE_STATUS.includes(response.status)) {
+          exchange.response = record.response_body
+          exchange.outcome = 'rejected'
+          this.log(`${endpoint} ${exchange.flag_keys.join(', ') || incidentId}: attempt ${attempt} answered ${response.status}, not retried`)
+          return exchange
+        }
+
+        retryAfterMs = parseRetryAfter(response.headers.get('retry-after'))
+      } catch (error: any) {
+        record.duration_ms = Date.now() - start
+        record.error = error.name === 'TimeoutError'
+          ? `Timed out after ${this.options.timeoutMs}ms`
+          : error.cause?.code ? `${error.message} (${error.cause.code})` : error.message
+      }
+
+      if (attempt > this.options.retryDelaysMs.length) {
+        this.log(`${endpoint} ${exchange.flag_keys.join(', ') || incidentId}: giving up after ${attempt} attempts`)
+        return exchange
+      }
+
+      delayMs = retryAfterMs === undefined ? this.options.retryDelaysMs[attempt - 1] : Math.min(retryAfterMs, MAX_RETRY_AFTER_MS)
+      this.log(`${endpoint} ${exchange.flag_keys.join(', ') || incidentId}: attempt ${attempt} ${record.error ?? `answered ${record.status}`}, retrying in ${delayMs}ms`)
+    }
+  }
+
+  /**
+   * HTTP API, for driving the mock with curl or from another process
+   *
+   *   GET  /api/funnels                  List funnels
+   *   POST /api/funnels                  Add or replace a funnel
+   *   POST /api/incidents                Simulate an incident { funnel_id, severity, message }
+   *   GET  /api/incidents                List incidents with their exchanges
+   *   GET  /api/incidents/:id            One incident
+   *   POST /api/incidents/:id/resolve    Resolve it (sends a restore)
+   *   GET  /api/callbacks                Status callbacks received
+   */
+  private async handle(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const send = (status: number, body: unknown) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body, null, 2))
+    }
+
+    try {
+      const body = await readJson(req)
+      const path = (req.url ?? '/').split('?')[0]
+      const incidentMatch = path.match(/^\/api\/incidents\/([^/]+)(\/resolve)?$/)
+
+      if (req.method === 'GET' && path === '/api/funnels') {
+        return send(200, { funnels: [...this.funnels.values()] })
+      }
+
+      if (req.method === 'POST' && path === '/api/funnels') {
+        return send(201, this.addFunnel(body))
+      }
+
+      if (req.method === 'POST' && path === '/api/incidents') {
+        return send(201, await this.simulateIncident({
+          funnelId: body.funnel_id,
+          severity: body.severity,
+          message: body.message,
+          incidentId: body.incident_id
+        }))
+      }
+
+      if (req.method === 'GET' && path === '/api/incidents') {
+        return send(200, { incidents: [...this.incidents.values()] })
+      }
+
+      if (req.method === 'GET' && incidentMatch && !incidentMatch[2]) {
+        const incident = this.incidents.get(decodeURIComponent(incidentMatch[1]))
+        return incident ? send(200, incident) : send(404, { error: `Unknown incident '${incidentMatch[1]}'` })
+      }
+
+      if (req.method === 'POST' && incidentMatch && incidentMatch[2]) {
+        return send(200, await this.resolveIncident(decodeURIComponent(incidentMatch[1]), body.message))
+      }
+
+      if (req.method === 'GET' && path === '/api/callbacks') {
+        return send(200, { callbacks: this.callbacks })
+      }
+
+      send(404, { error: `No route for ${req.method} ${path}` })
+    } catch (error: any) {
+      send(400, { error: error.message })
+    }
+  }
+
+  private log(message: string): void {
+    if (this.options.debug) {
+      console.log(`[PathCanary Mock] ${message}`)
+    }
+  }
+}
+
+/**
+ * Create and start a mock PathCanary
+ */
+export async function startMockPathCanary(options: MockPathCanaryOptions): Promise<MockPathCanary> {
+  const mock = new MockPathCanary(options)
+  await mock.start()
+  return mock
+}
+
+const RESPONSE_SCHEMAS: Record<MockExchange['endpoint'], SchemaName> = {
+  rollback: 'RollbackResponse',
+  batch: 'BatchRollbackResponse',
+  restore: 'RestoreResponse'
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function parseJson(text: string): any {
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+/**
+ * Retry-After in seconds or as an HTTP date, in milliseconds
+ */
+function parseRetryAfter(header: string | null): number | undefined {
+  if (!header) {
+    return undefined
+  }
+
+  const seconds = Number(header)
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000
+  }
+
+  const date = Date.parse(header)
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+function readJson(req: IncomingMessage): Promise<any> {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {})
+      } catch {
+        reject(new Error('Request body is not valid JSON'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
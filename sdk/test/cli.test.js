@@ -0,0 +1,211 @@
+/**
+ * pathcanary-partner CLI tests
+ *
+ * Run the built CLI (dist/cjs/cli.js) against a local stub webhook:
+ *
+ *   npm test
+ */
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { execFile } = require('child_process')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+const CLI = path.join(__dirname, '..', 'dist', 'cjs', 'cli.js')
+
+let stub
+let workDir
+
+/**
+ * Stub webhook: answers each request with stub.respond(request), recording it
+ */
+function startStub() {
+  const state = { requests: [], respond: () => ({ status: 200, body: {} }) }
+
+  const server = http.createServer((req, res) => {
+    let data = ''
+    req.on('data', chunk => { data += chunk })
+    req.on('end', () => {
+      const received = { method: req.method, path: req.url, headers: req.headers, body: data ? JSON.parse(data) : null }
+      state.requests.push(received)
+
+      const { status = 200, body } = state.respond(received)
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, 'localhost', () => {
+    state.url = `http://localhost:${server.address().port}`
+    state.close = () => new Promise(done => server.close(done))
+    resolve(state)
+  }))
+}
+
+/**
+ * Run the CLI, resolves with { code, stdout, stderr }
+ *
+ * PATHCANARY_* variables of the calling shell are left out so only `env` applies.
+ */
+function cli(args, { env = {}, cwd = workDir } = {}) {
+  const inherited = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('PATHCANARY_')))
+
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { cwd, env: { ...inherited, ...env }, timeout: 20000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr })
+    })
+  })
+}
+
+function rollbackResponse(request, overrides = {}) {
+  return {
+    success: true,
+    flag_key: request.body.flag_key,
+    previous_state: !request.body.enabled,
+    new_state: request.body.enabled,
+    ...overrides
+  }
+}
+
+before(async () => {
+  assert.ok(fs.existsSync(CLI), 'Build the SDK first: npm run build')
+  stub = await startStub()
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pathcanary-cli-'))
+})
+
+after(async () => {
+  await stub.close()
+  fs.rmSync(workDir, { recursive: true, force: true })
+})
+
+test('exits 2 for usage and configuration errors', async () => {
+  const cases = [
+    [],
+    ['deploy'],
+    ['toggle', '--no-such-option'],
+    ['toggle', '--output', 'xml'],
+    ['toggle', '--flag', 'test-flag'],
+    ['toggle', '--url', stub.url, '--api-key', 'key', '--flag', 'test-flag', '--enabled', 'maybe'],
+    ['toggle', '--url', stub.url, '--api-key', 'key', '--flag', 'test-flag', '--timeout', 'soon'],
+    ['toggle', '--config', 'missing.json'],
+    ['toggle', '--url', stub.url, '--flag', 'test-flag', '--cert', 'client.crt'],
+    ['replay']
+  ]
+
+  for (const args of cases) {
+    const { code, stderr } = await cli(args)
+    assert.equal(code, 2, `${args.join(' ') || '(no arguments)'} should exit 2: ${stderr}`)
+  }
+
+  const { stderr } = await cli(['toggle', '--flag', 'test-flag'])
+  assert.match(stderr, /Missing webhookUrl: pass --url, set PATHCANARY_WEBHOOK_URL/)
+})
+
+test('exits 0 when the check passes and 1 when it fails', async () => {
+  const args = ['toggle', '--url', stub.url, '--api-key', 'key', '--flag', 'test-flag']
+
+  stub.respond = request => ({ body: rollbackResponse(request) })
+  assert.equal((await cli(args)).code, 0)
+
+  stub.respond = request => ({ body: rollbackResponse(request, { success: false, new_state: !request.body.enabled, error: 'Flag is protected' }) })
+  const refused = await cli(args)
+  assert.equal(refused.code, 1)
+  assert.match(refused.stdout, /Flag is protected/)
+
+  stub.respond = () => ({ status: 500, body: { error: 'boom' } })
+  assert.equal((await cli(args)).code, 1)
+})
+
+test('reads settings from options, then environment, then the config file', async () => {
+  stub.respond = request => ({ body: rollbackResponse(request) })
+  fs.writeFileSync(path.join(workDir, 'pathcanary.config.json'), JSON.stringify({
+    webhookUrl: stub.url,
+    apiKey: 'file-key',
+    flagKey: 'from-file'
+  }))
+
+  const sent = async (args, env) => {
+    stub.requests.length = 0
+    const { code, stderr } = await cli(['toggle', ...args], { env })
+    assert.equal(code, 0, stderr)
+    const [request] = stub.requests
+    return { flag: request.body.flag_key, auth: request.headers.authorization }
+  }
+
+  try {
+    assert.deepEqual(await sent([]), { flag: 'from-file', auth: 'Bearer file-key' })
+    assert.deepEqual(
+      await sent([], { PATHCANARY_FLAG_KEY: 'from-env', PATHCANARY_API_KEY: 'env-key' }),
+      { flag: 'from-env', auth: 'Bearer env-key' })
+    assert.deepEqual(
+      await sent(['--flag', 'from-option', '--api-key', 'option-key'], { PATHCANARY_FLAG_KEY: 'from-env', PATHCANARY_API_KEY: 'env-key' }),
+      { flag: 'from-option', auth: 'Bearer option-key' })
+
+    // An explicit --config replaces the default file
+    const other = path.join(workDir, 'other.json')
+    fs.writeFileSync(other, JSON.stringify({ webhookUrl: stub.url, apiKey: 'other-key', flagKey: 'from-other' }))
+    assert.deepEqual(await sent(['--config', other]), { flag: 'from-other', auth: 'Bearer other-key' })
+
+    fs.writeFileSync(path.join(workDir, 'pathcanary.config.json'), JSON.stringify({ webhookUrl: stub.url, apiToken: 'typo' }))
+    const unknown = await cli(['toggle'])
+    assert.equal(unknown.code, 2)
+    assert.match(unknown.stderr, /Unknown setting in .*: apiToken/)
+  } finally {
+    fs.rmSync(path.join(workDir, 'pathcanary.config.json'), { force: true })
+  }
+})
+
+test('writes JUnit XML with a testcase per check', async () => {
+  const args = ['toggle', '--url', stub.url, '--api-key', 'key', '--flag', 'test-flag', '--output', 'junit']
+
+  stub.respond = request => ({ body: rollbackResponse(request) })
+  const passed = await cli(args)
+  assert.equal(passed.code, 0)
+  assert.match(passed.stdout, /^<\?xml version="1.0" encoding="UTF-8"\?>/)
+  assert.match(passed.stdout, /<testsuite name="pathcanary-partner toggle" tests="1" failures="0"/)
+  assert.match(passed.stdout, /<testcase classname="pathcanary\.toggle\.toggle" name="Set test-flag to disabled" time="[\d.]+"\/>/)
+
+  stub.respond = request => ({ body: rollbackResponse(request, { success: false, new_state: !request.body.enabled, error: 'Cooldown <60s> & counting' }) })
+  const reportFile = path.join(workDir, 'report.xml')
+  const failed = await cli([...args, '--output-file', reportFile])
+  assert.equal(failed.code, 1)
+  assert.match(failed.stdout, /PathCanary toggle: 0\/1 passed/, 'The summary is printed when the report goes to a file')
+
+  const xml = fs.readFileSync(reportFile, 'utf8')
+  assert.match(xml, /failures="1"/)
+  assert.match(xml, /<failure message="Cooldown &lt;60s&gt; &amp; counting">/)
+})
+
+test('replay sends saved exchanges through the client', async () => {
+  const exchangeFile = path.join(workDir, 'exchange.json')
+  fs.writeFileSync(exchangeFile, JSON.stringify({
+    endpoint: 'rollback',
+    idempotency_key: 'inc_123:rollback:abcd',
+    request: { flag_key: 'test-flag', enabled: false, incident_id: 'inc_123', incident_message: 'Replayed', source: 'pathcanary' }
+  }))
+  const args = ['replay', exchangeFile, '--url', stub.url, '--api-key', 'key', '--signing-secret', 'whsec_test', '--output', 'json']
+
+  stub.requests.length = 0
+  stub.respond = request => ({ body: rollbackResponse(request) })
+  const replayed = await cli(args)
+  assert.equal(replayed.code, 0, replayed.stdout)
+  const [request] = stub.requests
+  assert.equal(request.headers['idempotency-key'], 'inc_123:rollback:abcd')
+  assert.ok(request.headers['x-pathcanary-signature'], 'Replays should be signed')
+
+  // Responses are checked against the spec
+  stub.respond = () => ({ body: { success: true } })
+  const invalid = await cli(args)
+  assert.equal(invalid.code, 1)
+  assert.match(JSON.parse(invalid.stdout).checks[0].error, /flag_key/)
+
+  // HTTP errors come back as typed client errors, with the response in the report
+  stub.respond = () => ({ status: 401, body: { success: false, error: 'Invalid API key' } })
+  const unauthorized = await cli(args)
+  const report = JSON.parse(unauthorized.stdout)
+  assert.equal(unauthorized.code, 1)
+  assert.deepEqual(report.details, { status: 401, body: { success: false, error: 'Invalid API key' } })
+})
@@ -0,0 +1,121 @@
+/**
+ * PathCanaryPartnerClient tests
+ *
+ * Run the built client (dist/cjs) against a local stub webhook:
+ *
+ *   npm test
+ */
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+
+const DIST = path.join(__dirname, '..', 'dist', 'cjs', 'index.js')
+
+let sdk
+let stub
+
+/**
+ * Stub webhook: answers each request with stub.respond(request, res), recording it
+ *
+ * respond returns { status, headers, body }, or nothing when it writes the response itself.
+ */
+function startStub() {
+  const state = { requests: [], respond: () => ({ status: 200, body: {} }) }
+
+  const server = http.createServer((req, res) => {
+    let data = ''
+    req.on('data', chunk => { data += chunk })
+    req.on('end', () => {
+      const received = { method: req.method, path: req.url, headers: req.headers, body: data ? JSON.parse(data) : null }
+      state.requests.push(received)
+
+      const reply = state.respond(received, res)
+      if (!reply) {
+        return
+      }
+      const { status = 200, headers = {}, body } = reply
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+      res.end(JSON.stringify(body))
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, 'localhost', () => {
+    state.url = `http://localhost:${server.address().port}`
+    state.close = () => {
+      server.closeAllConnections()
+      return new Promise(done => server.close(done))
+    }
+    resolve(state)
+  }))
+}
+
+function createClient(config = {}) {
+  return new sdk.PathCanaryPartnerClient({ webhookUrl: stub.url, apiKey: 'key', retryAttempts: 3, ...config })
+}
+
+const rollbackRequest = { flag_key: 'test-flag', enabled: false, incident_id: 'inc_123', source: 'pathcanary' }
+
+before(async () => {
+  assert.ok(fs.existsSync(DIST), 'Build the SDK first: npm run build')
+  sdk = require(DIST)
+  stub = await startStub()
+})
+
+after(async () => {
+  await stub.close()
+})
+
+test('retries 429 and 5xx responses', async () => {
+  for (const status of [429, 500, 502, 503, 504]) {
+    stub.requests.length = 0
+    stub.respond = request => stub.requests.length < 3
+      ? { status, headers: { 'Retry-After': '0' }, body: { success: false, error: 'Try again' } }
+      : { body: { success: true, flag_key: request.body.flag_key, previous_state: true, new_state: false } }
+
+    const response = await createClient().testToggleFlagWithRetry(rollbackRequest)
+    assert.equal(response.success, true, `${status} should be retried`)
+    assert.equal(stub.requests.length, 3)
+  }
+
+  // The last error is thrown once attempts run out
+  stub.requests.length = 0
+  stub.respond = () => ({ status: 503, headers: { 'Retry-After': '0' }, body: { success: false, error: 'Unavailable' } })
+  await assert.rejects(createClient().testToggleFlagWithRetry(rollbackRequest), error => {
+    assert.ok(error instanceof sdk.HttpError)
+    assert.equal(error.status, 503)
+    assert.equal(error.retryable, true)
+    return true
+  })
+  assert.equal(stub.requests.length, 3)
+})
+
+test('does not retry 400 and 401 responses', async () => {
+  for (const [status, ErrorClass] of [[400, sdk.HttpError], [401, sdk.AuthError]]) {
+    stub.requests.length = 0
+    stub.respond = () => ({ status, headers: { 'Retry-After': '0' }, body: { success: false, error: 'Rejected' } })
+
+    await assert.rejects(createClient().testToggleFlagWithRetry(rollbackRequest), error => {
+      assert.ok(error instanceof ErrorClass, `${status} should throw ${ErrorClass.name}`)
+      assert.equal(error.status, status)
+      assert.equal(error.retryable, false)
+      return true
+    })
+    assert.equal(stub.requests.length, 1, `${status} should not be retried`)
+  }
+})
+
+test('times out a response whose body never finishes', async () => {
+  stub.respond = (request, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.write('{"success":')
+  }
+
+  const client = createClient({ timeout: 200, retryAttempts: 1 })
+  await assert.rejects(client.testToggleFlag(rollbackRequest), error => {
+    assert.ok(error instanceof sdk.TimeoutError)
+    return true
+  })
+})